@@ -1,47 +1,42 @@
 import React, { useState, useEffect } from "react";
 import { login, fetchUserProfile } from "./services/kingschat";
 import TokenCallback from "./TokenCallback";
-
-// Detect if running inside Flutter WebView
-function isInWebView() {
-  return !!(
-    window.KingsListAuth ||
-    window.KingsListBridge ||
-    window.FlutterChannel
-  );
-}
-
-// Send auth data to Flutter via any available channel
-function sendToFlutter(data) {
-  const json = typeof data === "string" ? data : JSON.stringify(data);
-  console.log("[sendToFlutter] Sending auth data...");
-
-  // Also expose globally for polling
-  window.authData = typeof data === "string" ? JSON.parse(data) : data;
-
-  const channels = ["KingsListBridge", "KingsListAuth", "FlutterChannel"];
-  for (const ch of channels) {
-    try {
-      if (window[ch] && window[ch].postMessage) {
-        window[ch].postMessage(json);
-        console.log("[sendToFlutter] Sent via " + ch);
-        return true;
-      }
-    } catch (e) {}
+import {
+  MessageType,
+  buildAuthPayload,
+  exposeForPolling,
+  isInWebView,
+  sendToNative,
+} from "./services/bridge";
+import { getSession, updateSession } from "./services/sessionStore";
+import { startRedirectLogin } from "./services/oauthRedirect";
+import { verifySession } from "./services/apiClient";
+import { AuthExpiredError, isAbortError } from "./services/apiErrors";
+import { useSession } from "./hooks/useSession";
+
+// Re-send a stored session to Flutter. This goes out as auth.restore so the
+// native side can tell it apart from a fresh login (auth.success).
+function restoreToFlutter(payload) {
+  console.log("[restoreToFlutter] Sending stored auth data...");
+
+  const { envelope, delivered } = sendToNative(MessageType.AUTH_RESTORE, payload);
+  // Also expose globally for polling, if the host opted in
+  exposeForPolling(envelope);
+  if (!delivered) {
+    console.log("[restoreToFlutter] No channel available");
   }
-  console.log("[sendToFlutter] No channel available, stored in window.authData");
-  return false;
+  return delivered;
 }
 
 function LoginForm() {
-  const [isLoggedIn, setIsLoggedIn] = useState(() => {
-    return localStorage.getItem("kc_session") !== null;
-  });
+  const { isLoggedIn, setSession, logout } = useSession();
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const [tokens, setTokens] = useState(null);
   const [showCallback, setShowCallback] = useState(false);
   const [tokensExposed, setTokensExposed] = useState(false);
+  // /login?reauth=1 — the host wants a fresh login even if a session exists
+  const reauth = new URLSearchParams(window.location.search).get("reauth") === "1";
 
   const containerStyle = {
     display: "flex",
@@ -117,10 +112,17 @@ function LoginForm() {
   };
 
   // ── Handle login ──
+  // Popups misbehave in WebViews, so there we use the full-page redirect flow
+  // and finish on /callback instead.
   const handleLogin = async () => {
     setError("");
     setLoading(true);
     try {
+      if (isInWebView()) {
+        await startRedirectLogin();
+        return;
+      }
+
       const authResponse = await login();
 
       let profile = null;
@@ -131,18 +133,17 @@ function LoginForm() {
         console.warn("Profile fetch failed, continuing without profile.", profileError);
       }
 
-      const sessionData = {
-        accessToken: authResponse.accessToken,
-        refreshToken: authResponse.refreshToken || "",
-        expiresIn: authResponse.expiresIn || 3600,
-        timestamp: Date.now(),
-      };
-      localStorage.setItem("kc_session", JSON.stringify(sessionData));
-      setIsLoggedIn(true);
-
       // Set tokens and show callback component
       setTokens({ ...authResponse, profile });
       setShowCallback(true);
+
+      setSession({
+        accessToken: authResponse.accessToken,
+        refreshToken: authResponse.refreshToken,
+        expiresIn: authResponse.expiresIn,
+        timestamp: Date.now(),
+        profile,
+      });
     } catch (err) {
       setError("Failed to log in. Please try again.");
       console.error("Login error:", err);
@@ -151,35 +152,24 @@ function LoginForm() {
     }
   };
 
+  // ── Handle logout ──
+  const handleLogout = () => {
+    logout();
+    setShowCallback(false);
+    setTokens(null);
+    setTokensExposed(false);
+  };
+
   // ── On mount: re-send existing auth data to Flutter if in WebView ──
   useEffect(() => {
     const checkAndSendExistingAuth = () => {
       if (!isInWebView()) return;
 
-      // Check localStorage authData (set by TokenCallback)
-      try {
-        const stored = localStorage.getItem("authData");
-        if (stored) {
-          const parsed = JSON.parse(stored);
-          if (parsed.accessToken) {
-            console.log("[WebView] Found existing authData, re-sending to Flutter");
-            sendToFlutter(parsed);
-            return;
-          }
-        }
-      } catch (e) {}
-
-      // Check kc_session
-      try {
-        const session = localStorage.getItem("kc_session");
-        if (session) {
-          const parsed = JSON.parse(session);
-          if (parsed.accessToken) {
-            console.log("[WebView] Found existing kc_session, sending to Flutter");
-            sendToFlutter(parsed);
-          }
-        }
-      } catch (e) {}
+      const session = getSession();
+      if (session) {
+        console.log("[WebView] Found existing session, sending to Flutter");
+        restoreToFlutter(buildAuthPayload(session));
+      }
     };
 
     // Small delay for Flutter JS channels to initialize
@@ -189,50 +179,34 @@ function LoginForm() {
 
   // ── Session verification ──
   useEffect(() => {
-    const verifySession = async () => {
-      const session = localStorage.getItem("kc_session");
-      if (!session) return;
+    const controller = new AbortController();
 
-      try {
-        const sessionData = JSON.parse(session);
-        const response = await fetch(
-          "https://kingslist.pro/app/default/api/verify_session.php",
-          {
-            method: "POST",
-            credentials: "include",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              accessToken: sessionData.accessToken,
-              refreshToken: sessionData.refreshToken,
-            }),
-          }
-        );
+    const checkSession = async () => {
+      const sessionData = getSession();
+      if (!sessionData) return;
 
-        if (response.ok) {
-          const data = await response.json();
-          if (!data.valid) {
-            localStorage.removeItem("kc_session");
-            setIsLoggedIn(false);
-          } else if (data.newToken) {
-            const updatedSession = {
-              ...sessionData,
-              accessToken: data.newToken,
-              timestamp: Date.now(),
-            };
-            localStorage.setItem("kc_session", JSON.stringify(updatedSession));
-          }
+      try {
+        const { newToken } = await verifySession(sessionData, { signal: controller.signal });
+        if (newToken) {
+          updateSession({ accessToken: newToken, timestamp: Date.now() });
         }
       } catch (err) {
-        console.error("Session verification failed:", err);
-        localStorage.removeItem("kc_session");
-        setIsLoggedIn(false);
+        if (err instanceof AuthExpiredError) {
+          logout();
+        } else if (!isAbortError(err)) {
+          // A network blip is not a verdict on the session; try again next time.
+          console.error("Session verification failed:", err);
+        }
       }
     };
 
-    verifySession();
-    const interval = setInterval(verifySession, 300000);
-    return () => clearInterval(interval);
-  }, []);
+    checkSession();
+    const interval = setInterval(checkSession, 300000);
+    return () => {
+      clearInterval(interval);
+      controller.abort();
+    };
+  }, [logout]);
 
   // Show token callback if login was successful
   if (showCallback && tokens) {
@@ -248,7 +222,7 @@ function LoginForm() {
   }
 
   // Show success message after tokens are exposed
-  if (tokensExposed) {
+  if (tokensExposed && isLoggedIn) {
     return (
       <div style={containerStyle}>
         <div style={cardStyle}>
@@ -262,7 +236,7 @@ function LoginForm() {
     );
   }
 
-  if (isLoggedIn) {
+  if (isLoggedIn && !reauth) {
     return (
       <div style={containerStyle}>
         <div style={cardStyle}>
@@ -270,15 +244,7 @@ function LoginForm() {
           <p style={textStyle}>You are already logged in.</p>
           <button
             style={buttonStyle}
-            onClick={() => {
-              localStorage.removeItem("kc_session");
-              localStorage.removeItem("authData");
-              window.authData = null;
-              setIsLoggedIn(false);
-              setShowCallback(false);
-              setTokens(null);
-              setTokensExposed(false);
-            }}
+            onClick={handleLogout}
           >
             Log Out
           </button>
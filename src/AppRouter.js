@@ -0,0 +1,118 @@
+import React, { useEffect, useRef } from "react";
+import { BrowserRouter, Navigate, Route, Routes, useLocation, useNavigate, useParams } from "react-router-dom";
+import LoginForm from "./App";
+import OAuthCallback from "./OAuthCallback";
+import DispatchPortal from "./MainExApp";
+import DispatchPreview from "./DispatchPreview";
+import QueuedDispatches from "./QueuedDispatches";
+import SessionStatus from "./SessionStatus";
+import { CALLBACK_PATH, startRedirectLogin } from "./services/oauthRedirect";
+import { CommandType, isInWebView, registerCommand } from "./services/bridge";
+import { saveDispatchSchedule } from "./services/dispatchSchedule";
+import { getDispatchQueue } from "./services/dispatchQueue";
+import { dispatchStatusKey, getActiveDispatch } from "./services/dispatchRunner";
+import { getSession } from "./services/sessionStore";
+import { startSessionManager } from "./services/sessionManager";
+import { useSession } from "./hooks/useSession";
+
+// Old links put everything on "/" with ?dmsg_id=…&start_dispatch=1. Send
+// them to the matching route.
+function LegacyRedirect() {
+  const { search } = useLocation();
+  const params = new URLSearchParams(search);
+  const dmsgId = params.get("dmsg_id");
+
+  if (dmsgId) {
+    const path = `/dispatch/${encodeURIComponent(dmsgId)}`;
+    return <Navigate to={params.get("start_dispatch") === "1" ? `${path}/run` : path} replace />;
+  }
+  return <Navigate to="/login" replace />;
+}
+
+// Bridge commands that move between screens. Lives inside the router so it
+// can navigate, and stays registered whichever page is showing.
+function RouteCommands() {
+  const navigate = useNavigate();
+  const navigateRef = useRef(navigate);
+  navigateRef.current = navigate;
+
+  useEffect(() => {
+    // A WebView goes straight to the KingsChat login page; a browser needs a
+    // click for the popup, so it gets the login screen.
+    return registerCommand(CommandType.LOGIN, async () => {
+      if (isInWebView()) {
+        await startRedirectLogin();
+        return { loggedIn: false, redirecting: true };
+      }
+      navigateRef.current("/login?reauth=1");
+      return { loggedIn: false, path: "/login?reauth=1" };
+    });
+  }, []);
+
+  useEffect(() => {
+    return registerCommand(CommandType.DISPATCH_QUEUE, async ({ dmsg_ids, start = true }) => {
+      if (!Array.isArray(dmsg_ids) || dmsg_ids.length === 0) throw new Error("dmsg_ids must be a non-empty list");
+      const queue = getDispatchQueue();
+      queue.add(dmsg_ids, { start });
+      navigateRef.current("/queue");
+      return { path: "/queue", items: queue.snapshot().items.map(({ dmsgId, status }) => ({ dmsg_id: dmsgId, status })) };
+    });
+  }, []);
+
+  useEffect(() => {
+    // startAt, window and timeZone schedule the dispatch instead of
+    // starting it now (see dispatchSchedule.js)
+    return registerCommand(CommandType.DISPATCH_START, async ({ dmsg_id, startAt, window, timeZone }) => {
+      if (!dmsg_id) throw new Error("dmsg_id is required");
+      if (!getSession()) throw new Error("Not logged in");
+      if (getActiveDispatch() || getDispatchQueue().running) throw new Error("A dispatch is already running");
+      const schedule = startAt || window
+        ? saveDispatchSchedule(dmsg_id, { startAt, window, timeZone })
+        : null;
+      const path = `/dispatch/${encodeURIComponent(dmsg_id)}/run`;
+      // Asked for outright: start it even if it already completed in this tab
+      sessionStorage.removeItem(dispatchStatusKey(dmsg_id));
+      navigateRef.current(path);
+      return { dmsg_id, path, schedule };
+    });
+  }, []);
+
+  return null;
+}
+
+// One portal per batch: another dmsg_id gets a fresh page instead of the
+// previous batch's state (its runner, its auto-start having happened).
+function BatchPortal(props) {
+  const { dmsgId } = useParams();
+  return <DispatchPortal key={dmsgId} {...props} />;
+}
+
+function AppRouter() {
+  const { isLoggedIn } = useSession();
+
+  // Refresh the token ahead of expiry whichever page is showing, including
+  // dispatches started from /queue or by the dispatch.start command
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    return startSessionManager();
+  }, [isLoggedIn]);
+
+  return (
+    <BrowserRouter>
+      <RouteCommands />
+      <Routes>
+        <Route path="/" element={<LegacyRedirect />} />
+        <Route path="/login" element={<LoginForm />} />
+        <Route path={CALLBACK_PATH} element={<OAuthCallback />} />
+        <Route path="/dispatch/:dmsgId" element={<BatchPortal />} />
+        <Route path="/dispatch/:dmsgId/run" element={<BatchPortal autoStart />} />
+        <Route path="/dispatch/:dmsgId/preview" element={<DispatchPreview />} />
+        <Route path="/queue" element={<QueuedDispatches />} />
+        <Route path="/status" element={<SessionStatus />} />
+        <Route path="*" element={<Navigate to="/login" replace />} />
+      </Routes>
+    </BrowserRouter>
+  );
+}
+
+export default AppRouter;
@@ -0,0 +1,138 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import AppRouter from './AppRouter';
+import { handleCommand } from './services/bridge';
+import { DispatchRunner } from './services/dispatchRunner';
+import { startRedirectLogin } from './services/oauthRedirect';
+import { clearSession, getSession, setSession } from './services/sessionStore';
+
+// jsdom can neither hash the PKCE verifier nor leave the page
+jest.mock('./services/oauthRedirect', () => ({
+  ...jest.requireActual('./services/oauthRedirect'),
+  startRedirectLogin: jest.fn().mockResolvedValue(undefined),
+}));
+
+afterEach(() => {
+  window.history.pushState({}, '', '/');
+  clearSession();
+  delete window.KingsListBridge;
+  startRedirectLogin.mockClear();
+});
+
+test('sends the bare root URL to the login page', () => {
+  window.history.pushState({}, '', '/');
+  render(<AppRouter />);
+  expect(screen.getByText('Connect your KingsChat account to continue')).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/login');
+});
+
+test('clears the authorization code from the URL before exchanging it', async () => {
+  sessionStorage.setItem('kc_oauth_pending', JSON.stringify({
+    state: 'expected-state',
+    verifier: 'verifier',
+    redirectUri: 'http://localhost/callback',
+    createdAt: Date.now(),
+  }));
+  const searchAtExchange = [];
+  const fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(() => {
+    searchAtExchange.push(window.location.search);
+    return Promise.resolve({
+      ok: true,
+      json: async () => ({ access_token: 'access', refresh_token: 'refresh', expires_in_millis: 3600000 }),
+    });
+  });
+  window.history.pushState({}, '', '/callback?code=abc&state=expected-state');
+  const before = window.history.length;
+  render(<AppRouter />);
+
+  await screen.findByText('✓ Authenticated');
+  expect(searchAtExchange[0]).toBe('');
+  expect(window.location.pathname).toBe('/callback');
+  expect(window.history.length).toBe(before);
+  fetchSpy.mockRestore();
+});
+
+test('refreshes a session about to expire on any page', async () => {
+  setSession({ accessToken: 'old', refreshToken: 'refresh', expiresIn: 60, timestamp: Date.now() });
+  const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+    ok: true,
+    json: async () => ({ access_token: 'new', refresh_token: 'refresh-2', expires_in_millis: 3600000 }),
+  });
+  window.history.pushState({}, '', '/status');
+  render(<AppRouter />);
+
+  await waitFor(() => expect(getSession().accessToken).toBe('new'));
+  expect(fetchSpy.mock.calls[0][0]).toMatch(/\/oauth2\/token$/);
+  fetchSpy.mockRestore();
+});
+
+test('answers auth.login on any page', async () => {
+  window.history.pushState({}, '', '/queue');
+  render(<AppRouter />);
+
+  const browser = await handleCommand({ v: 1, type: 'auth.login', id: 'login-1' });
+  expect(browser).toEqual({ ok: true, result: { loggedIn: false, path: '/login?reauth=1' } });
+  expect(window.location.pathname + window.location.search).toBe('/login?reauth=1');
+
+  window.KingsListBridge = { postMessage: jest.fn() };
+  const webView = await handleCommand({ v: 1, type: 'auth.login', id: 'login-2' });
+  expect(webView).toEqual({ ok: true, result: { loggedIn: false, redirecting: true } });
+  expect(startRedirectLogin).toHaveBeenCalledTimes(1);
+});
+
+test('logs in from a dispatch link in the app through the redirect flow', async () => {
+  window.KingsListBridge = { postMessage: jest.fn() };
+  window.history.pushState({}, '', '/dispatch/42/run');
+  render(<AppRouter />);
+
+  fireEvent.click(screen.getByText('Log in with KingsChat'));
+
+  await waitFor(() => expect(startRedirectLogin).toHaveBeenCalledWith({ returnTo: '/dispatch/42/run' }));
+});
+
+test('redirects legacy start_dispatch links to the dispatch run route', () => {
+  window.history.pushState({}, '', '/?dmsg_id=42&start_dispatch=1');
+  render(<AppRouter />);
+  expect(screen.getByText('Kingslist Portal')).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/dispatch/42/run');
+});
+
+test('serves the dispatch preview without sending anything', async () => {
+  const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    text: () => Promise.resolve(JSON.stringify({
+      data: { messages: [{ kc_id: 'abc', fullname: 'Ada Obi', body: 'Hi <fullname|first>' }] },
+    })),
+  });
+  window.history.pushState({}, '', '/dispatch/42/preview');
+  render(<AppRouter />);
+
+  expect(await screen.findByText('Hi Ada')).toBeInTheDocument();
+  expect(fetchSpy).toHaveBeenCalledTimes(1);
+  expect(fetchSpy.mock.calls[0][0]).toContain('getDispatchBatch.php?dmsg_id=42');
+  fetchSpy.mockRestore();
+});
+
+test('refuses dispatch.start without a session or while another dispatch runs', async () => {
+  window.history.pushState({}, '', '/login');
+  render(<AppRouter />);
+  const start = (id) => handleCommand({ v: 1, type: 'dispatch.start', id, payload: { dmsg_id: '7' } });
+
+  await expect(start('c1')).resolves.toEqual({ ok: false, error: 'Not logged in' });
+
+  setSession({ accessToken: 'token', expiresIn: 3600, timestamp: Date.now() });
+  const other = new DispatchRunner('99', {
+    fetchBatch: jest.fn(),
+    journal: null,
+    storage: null,
+    settings: { schedule: { startAt: Date.now() + 60 * 60 * 1000, window: null } },
+  });
+  const run = other.start();
+  await expect(start('c2')).resolves.toEqual({ ok: false, error: 'A dispatch is already running' });
+  expect(window.location.pathname).toBe('/login');
+
+  other.cancel();
+  await run;
+  clearSession();
+});
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from "react";
+import { downloadReport, filterReport, loadDeliveryReport } from "./services/deliveryReport";
+import { RecipientStatus } from "./services/dispatchJournal";
+
+const PAGE_SIZE = 50;
+
+const STATUS_FILTERS = [
+  { value: "", label: "All" },
+  { value: RecipientStatus.SENT, label: "Sent" },
+  { value: RecipientStatus.FAILED, label: "Failed" },
+  { value: RecipientStatus.UNKNOWN, label: "Needs verification" },
+  { value: RecipientStatus.PENDING, label: "Not sent yet" },
+];
+
+const STATUS_COLORS = {
+  [RecipientStatus.SENT]: "#28a745",
+  [RecipientStatus.FAILED]: "#dc3545",
+  [RecipientStatus.UNKNOWN]: "#fd7e14",
+};
+
+// Per-recipient results of a dispatch, read from its journal. reloadKey
+// changes whenever the journal may have changed (a run starting or ending).
+function DeliveryReport({ dmsgId, reloadKey }) {
+  const [rows, setRows] = useState(null);
+  const [status, setStatus] = useState("");
+  const [page, setPage] = useState(0);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let active = true;
+    loadDeliveryReport(dmsgId)
+      .then((report) => active && setRows(report))
+      .catch((err) => active && setError(`Could not read the delivery report: ${err.message}`));
+    return () => { active = false; };
+  }, [dmsgId, reloadKey]);
+
+  if (error) return <p style={{ color: "#b00020" }}>{error}</p>;
+  if (!rows) return <p>Loading delivery report...</p>;
+  if (rows.length === 0) return <p>No recipients recorded for this dispatch on this device.</p>;
+
+  const filtered = filterReport(rows, status);
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const shown = filtered.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const cellStyle = { padding: "4px 6px", borderBottom: "1px solid #eee", textAlign: "left" };
+  const smallButtonStyle = {
+    padding: "4px 10px",
+    marginLeft: "6px",
+    border: "1px solid #ccc",
+    borderRadius: "4px",
+    background: "white",
+    cursor: "pointer",
+  };
+
+  return (
+    <div style={{ margin: "20px 0", padding: "10px", border: "1px solid #ccc", borderRadius: "8px", fontSize: "13px" }}>
+      <h4 style={{ marginTop: 0 }}>Delivery Report</h4>
+      <div style={{ marginBottom: "10px" }}>
+        <label>
+          Show:{" "}
+          <select value={status} onChange={(event) => { setStatus(event.target.value); setPage(0); }}>
+            {STATUS_FILTERS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {" "}{filtered.length} recipient(s)
+        <button style={smallButtonStyle} onClick={() => downloadReport(dmsgId, filtered, "csv")}>Export CSV</button>
+        <button style={smallButtonStyle} onClick={() => downloadReport(dmsgId, filtered, "json")}>Export JSON</button>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Recipient</th>
+              <th style={cellStyle}>Status</th>
+              <th style={cellStyle}>Attempts</th>
+              <th style={cellStyle}>Last error</th>
+              <th style={cellStyle}>Updated</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((row) => (
+              <tr key={row.kc_id}>
+                <td style={cellStyle}>
+                  {row.fullname || row.username || row.kc_id}
+                  {row.username && <div style={{ color: "#666" }}>@{row.username}</div>}
+                </td>
+                <td style={{ ...cellStyle, color: STATUS_COLORS[row.status] || "#666" }}>{row.status}</td>
+                <td style={cellStyle}>{row.attempts}</td>
+                <td style={cellStyle}>{row.last_error}</td>
+                <td style={cellStyle}>{row.updated_at && new Date(row.updated_at).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pageCount > 1 && (
+        <div style={{ marginTop: "10px" }}>
+          <button style={{ ...smallButtonStyle, marginLeft: 0 }} onClick={() => setPage(page - 1)} disabled={page === 0}>
+            Previous
+          </button>
+          <span style={{ margin: "0 6px" }}>Page {page + 1} of {pageCount}</span>
+          <button style={smallButtonStyle} onClick={() => setPage(page + 1)} disabled={page >= pageCount - 1}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeliveryReport;
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { buildDispatchPreview } from "./services/dispatchPreview";
+import { AuthExpiredError, describeApiError, isAbortError } from "./services/apiErrors";
+import { accountIdFor, getDispatchPreferences } from "./services/dispatchPreferences";
+import { getSession } from "./services/sessionStore";
+
+const formatDuration = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  if (minutes < 1) return "under a minute";
+  if (minutes < 60) return `about ${minutes} min`;
+  return `about ${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+// Dry run at /dispatch/:dmsgId/preview: shows what a dispatch would send.
+// Nothing goes to KingsChat and no count is reported to kingslist.pro.
+function DispatchPreview() {
+  const { dmsgId } = useParams();
+  const [preview, setPreview] = useState(null);
+  const [loaded, setLoaded] = useState(0);
+  const [error, setError] = useState(null);
+  const [sampleIndex, setSampleIndex] = useState(0);
+  // Estimate with what a dispatch from this account would use
+  const { concurrency } = getDispatchPreferences(accountIdFor(getSession()));
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setPreview(null);
+    setError(null);
+    setSampleIndex(0);
+
+    buildDispatchPreview(dmsgId, { signal: controller.signal, concurrency, onProgress: setLoaded })
+      .then(setPreview)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error("Preview failed:", err);
+        setError(err);
+      });
+    return () => controller.abort();
+  }, [dmsgId, concurrency]);
+
+  const rowStyle = { display: "flex", justifyContent: "space-between", padding: "6px 0", borderBottom: "1px solid #eee" };
+  const pagerButtonStyle = {
+    padding: "6px 14px",
+    background: "#007bff",
+    color: "white",
+    border: "none",
+    borderRadius: "5px",
+    cursor: "pointer",
+  };
+  const problemStyle = { background: "#fff4e0", padding: "10px", borderRadius: "5px", color: "#8a5a00", marginTop: "10px" };
+
+  const sample = preview?.samples[sampleIndex];
+
+  return (
+    <div style={{ padding: "30px", maxWidth: "600px", margin: "auto", fontFamily: "sans-serif" }}>
+      <h2 style={{ color: "#2a2a2a" }}>Dispatch Preview</h2>
+      <p>Nothing is sent from this page.</p>
+
+      {error && (
+        <div style={{ background: "#ffe0e0", padding: "10px", borderRadius: "5px", color: "#b00020" }}>
+          {describeApiError(error)}
+          {error instanceof AuthExpiredError && (
+            <> <Link to={`/dispatch/${dmsgId}`}>Log in</Link></>
+          )}
+        </div>
+      )}
+
+      {!preview && !error && <p>Loading recipients... {loaded > 0 && `${loaded} so far`}</p>}
+
+      {preview && (
+        <>
+          <div style={rowStyle}><strong>Recipients</strong><span>{preview.recipients}</span></div>
+          <div style={rowStyle}><strong>Messages that would be sent</strong><span>{preview.sendable}</span></div>
+          {preview.dispatchCount > 0 && (
+            <div style={rowStyle}><strong>Already handled (kingslist.pro)</strong><span>{preview.dispatchCount}</span></div>
+          )}
+          <div style={rowStyle}>
+            <strong>Estimated time</strong>
+            <span>{formatDuration(preview.estimatedMs)} ({concurrency} at a time)</span>
+          </div>
+
+          {preview.templateErrors.length > 0 && (
+            <div style={{ ...problemStyle, background: "#ffe0e0", color: "#b00020" }}>
+              <strong>The message template has errors, so the dispatch would not start:</strong>
+              <ul>{preview.templateErrors.map((problem) => <li key={problem}>{problem}</li>)}</ul>
+            </div>
+          )}
+          {preview.duplicates.count > 0 && (
+            <div style={problemStyle}>
+              <strong>{preview.duplicates.count} duplicate recipient(s)</strong>, messaged once:{" "}
+              {preview.duplicates.examples.join(", ")}
+              {preview.duplicates.count > preview.duplicates.examples.length && ", ..."}
+            </div>
+          )}
+          {preview.invalidIds.count > 0 && (
+            <div style={problemStyle}>
+              <strong>{preview.invalidIds.count} invalid KingsChat ID(s):</strong>{" "}
+              {preview.invalidIds.examples.map((kcId) => kcId || "(blank)").join(", ")}
+              {preview.invalidIds.count > preview.invalidIds.examples.length && ", ..."}
+            </div>
+          )}
+          {preview.incomplete.count > 0 && (
+            <div style={problemStyle}>
+              <strong>{preview.incomplete.count} recipient(s) would be skipped for missing details:</strong>
+              <ul>
+                {preview.incomplete.examples.map(({ kcId, name, missing }) => (
+                  <li key={kcId}>{name}: no {missing.join(", ")}</li>
+                ))}
+                {preview.incomplete.count > preview.incomplete.examples.length && (
+                  <li>and {preview.incomplete.count - preview.incomplete.examples.length} more</li>
+                )}
+              </ul>
+            </div>
+          )}
+
+          {sample && (
+            <div style={{ marginTop: "20px", padding: "10px", border: "1px solid #ccc", borderRadius: "8px" }}>
+              <h4 style={{ marginTop: 0 }}>
+                Sample {sampleIndex + 1} of {preview.samples.length}: {sample.name}
+              </h4>
+              <p style={{ whiteSpace: "pre-wrap" }}>{sample.body}</p>
+              {sample.missing.length > 0 && (
+                <p style={{ color: "#b00020" }}>Not sent: no {sample.missing.join(", ")}</p>
+              )}
+              <button
+                style={{ ...pagerButtonStyle, marginRight: "10px" }}
+                onClick={() => setSampleIndex((index) => index - 1)}
+                disabled={sampleIndex === 0}
+              >
+                Previous
+              </button>
+              <button
+                style={pagerButtonStyle}
+                onClick={() => setSampleIndex((index) => index + 1)}
+                disabled={sampleIndex >= preview.samples.length - 1}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      <p style={{ marginTop: "20px" }}>
+        <Link to={`/dispatch/${dmsgId}`} style={{ color: "#007bff", textDecoration: "underline" }}>
+          Back to dispatch
+        </Link>
+      </p>
+    </div>
+  );
+}
+
+export default DispatchPreview;
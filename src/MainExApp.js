@@ -1,300 +1,280 @@
-
-
-
 import React, { useState, useEffect, useRef, useCallback } from "react";
-import { login, sendMessage, getMessageMetrics, resetMessageMetrics } from "./services/kingschat";
+import { Link, useLocation, useNavigate, useParams } from "react-router-dom";
+import { fetchUserProfile, login } from "./services/kingschat";
+import { isInWebView } from "./services/bridge";
+import { startRedirectLogin } from "./services/oauthRedirect";
+import TokenCallback from "./TokenCallback";
+import { DispatchRunner, MAX_CONCURRENCY, dispatchStatusKey, loadDispatchAnalytics } from "./services/dispatchRunner";
+import { accountIdFor, getDispatchPreferences, saveDispatchPreferences } from "./services/dispatchPreferences";
+import { RecipientStatus, loadJournalSummary, resolveUnknownRecipients } from "./services/dispatchJournal";
 import {
-  fetchDispatchBatch,
-  prepareMessagesForDispatch,
-} from "./services/dispatchService";
-
-
-
-function App() {
-  const [isLoggedIn, setIsLoggedIn] = useState(() => {
-    return localStorage.getItem("kc_session") !== null;
-  });
-  const [accessToken, setAccessToken] = useState(() => {
-    const session = localStorage.getItem("kc_session");
-    return session ? JSON.parse(session).accessToken : "";
-  });
-  const [dispatching, setDispatching] = useState(false);
+  clearDispatchSchedule,
+  deviceTimeZone,
+  getDispatchSchedule,
+  requestHostWake,
+  saveDispatchSchedule,
+} from "./services/dispatchSchedule";
+import { getSession } from "./services/sessionStore";
+import { useSession } from "./hooks/useSession";
+import TestSendPanel from "./TestSendPanel";
+import DeliveryReport from "./DeliveryReport";
+import { getDispatchQueue } from "./services/dispatchQueue";
+import { getConfig } from "./services/config";
+import { verifySession } from "./services/apiClient";
+import { AuthExpiredError, EmptyBatchError, describeApiError, isAbortError } from "./services/apiErrors";
+
+const ACTIVE_STATES = ["scheduled", "loading", "running", "waiting", "paused", "refreshing"];
+// Recipients with missing template fields listed by name; the rest are counted
+const MAX_LISTED_INVALID = 10;
+
+// Dispatch portal for one dmsg_id. Mounted at /dispatch/:dmsgId, and at
+// /dispatch/:dmsgId/run with autoStart to start sending as soon as the user
+// is logged in. A scheduled dispatch starts (and waits) on either route.
+function DispatchPortal({ autoStart = false }) {
+  const { dmsgId: dispatchId } = useParams();
+  const navigate = useNavigate();
+  const { key: locationKey, pathname } = useLocation();
+  const { session, isLoggedIn, setSession, logout } = useSession();
+  const accountId = accountIdFor(session);
+  const [concurrency, setConcurrency] = useState(() => getDispatchPreferences(accountId).concurrency);
+  const [runner, setRunner] = useState(null);
+  const [runState, setRunState] = useState("idle");
   const [error, setError] = useState("");
-  const [dispatchId, setDispatchId] = useState("");
+  const [warning, setWarning] = useState("");
+  // Recipients skipped because their row lacks a field the template needs
+  const [invalidRecipients, setInvalidRecipients] = useState([]);
+  // What an interrupted run of this dispatch already got through
+  const [journalSummary, setJournalSummary] = useState(null);
+  const [showTestSend, setShowTestSend] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  // Tokens from a popup login, until TokenCallback has handed them to Flutter
+  const [handoffTokens, setHandoffTokens] = useState(null);
+  const [schedule, setSchedule] = useState(() => getDispatchSchedule(dispatchId));
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [scheduleForm, setScheduleForm] = useState({ startAt: "", limitHours: false, start: "08:00", end: "21:00" });
+  // When a scheduled or out-of-hours runner will send again
+  const [waitingUntil, setWaitingUntil] = useState(null);
   const [progress, setProgress] = useState({
     current: 0,
     total: 0,
     success: 0,
     failed: 0,
+    unknown: 0,
+    invalid: 0,
+    retried: 0,
+    rateLimited: 0,
   });
-  const [retryCounts, setRetryCounts] = useState({});
-  const [processedMessages, setProcessedMessages] = useState(new Set());
-  const progressRef = useRef(progress);
-
-  const updateProgress = (updateFn) => {
-    setProgress(prev => {
-      const updated = updateFn(prev);
-      progressRef.current = updated;
-      return updated;
-    });
-  };
+  const dispatching = ACTIVE_STATES.includes(runState);
 
   useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const dmsg_id = urlParams.get("dmsg_id");
-    const start = urlParams.get("start_dispatch");
-
-    if (dmsg_id) {
-      setDispatchId(dmsg_id);
-      if (start === "1") {
-        const dispatchStatus = sessionStorage.getItem(`dispatch_status_${dmsg_id}`);
-        if (!dispatchStatus || dispatchStatus !== "completed") {
-          sessionStorage.setItem(`dispatch_status_${dmsg_id}`, "in_progress");
-        }
-      }
-    }
-
     // Load saved analytics if available
-    const savedAnalytics = sessionStorage.getItem(`dispatch_analytics_${dmsg_id}`);
+    const savedAnalytics = loadDispatchAnalytics(dispatchId);
     if (savedAnalytics) {
-      const { success, failed } = JSON.parse(savedAnalytics);
-      updateProgress(prev => ({ ...prev, success, failed }));
+      const { success, failed, unknown = 0, invalid = 0, retries = 0, rateLimited = 0, total = 0 } = savedAnalytics;
+      setProgress({ current: success + failed + unknown, total, success, failed, unknown, invalid, retried: retries, rateLimited });
     }
+  }, [dispatchId]);
+
+  useEffect(() => {
+    let active = true;
+    loadJournalSummary(dispatchId)
+      .then((summary) => active && setJournalSummary(summary))
+      .catch((err) => console.warn("Could not read dispatch journal:", err));
+    return () => { active = false; };
+  }, [dispatchId, runState]);
+
+  // Leaving the page stops its dispatch once the sends in flight are done:
+  // nothing would show it or be able to stop it otherwise. The journal picks
+  // it up again on the next start.
+  const mountedRef = useRef(true);
+  const runnerRef = useRef(null);
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      runnerRef.current?.cancel();
+    };
   }, []);
 
+  // The page only mirrors the runner's state.
+  useEffect(() => {
+    if (!runner) return;
+    const unsubscribers = [
+      runner.on("state", setRunState),
+      runner.on("progress", setProgress),
+      runner.on("invalid", ({ message, missing }) => {
+        setInvalidRecipients((list) => (list.length < MAX_LISTED_INVALID
+          ? [...list, { kcId: message.kc_id, name: message.fullname || message.username || message.kc_id, missing }]
+          : list));
+      }),
+      runner.on("scheduled", ({ startAt }) => {
+        setWaitingUntil(startAt);
+        requestHostWake(runner.dmsgId, startAt);
+      }),
+      runner.on("waiting", ({ until }) => {
+        setWaitingUntil(until);
+        requestHostWake(runner.dmsgId, until);
+      }),
+      runner.on("reconcile", ({ unaccounted }) => {
+        if (unaccounted > 0) {
+          setWarning(`kingslist.pro counts ${unaccounted} more recipient(s) as handled than this device remembers. They may receive this message again.`);
+        }
+      }),
+    ];
+    setRunState(runner.state);
+    setProgress(runner.progress);
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [runner]);
+
+  // Same login as LoginForm: the redirect flow in a WebView, coming back to
+  // this page afterwards, and the popup elsewhere. Either way the tokens go
+  // to Flutter through TokenCallback.
   const handleLogin = useCallback(async () => {
     setError("");
     try {
+      if (isInWebView()) {
+        await startRedirectLogin({ returnTo: pathname });
+        return;
+      }
+
       const authResponse = await login();
 
-      const sessionData = {
+      let profile = null;
+      try {
+        profile = await fetchUserProfile(authResponse.accessToken);
+      } catch (profileError) {
+        console.warn("Profile fetch failed, continuing without profile.", profileError);
+      }
+
+      setSession({
         accessToken: authResponse.accessToken,
-        refreshToken: authResponse.refreshToken || "",
-        expiresIn: authResponse.expiresIn || 3600,
+        refreshToken: authResponse.refreshToken,
+        expiresIn: authResponse.expiresIn,
         timestamp: Date.now(),
-      };
-      localStorage.setItem("kc_session", JSON.stringify(sessionData));
-
-      setAccessToken(authResponse.accessToken);
-      setIsLoggedIn(true);
-
-      const form = document.createElement("form");
-      form.method = "POST";
-      form.action = "https://kingslist.pro/callback";
-
-      const addField = (name, value) => {
-        const input = document.createElement("input");
-        input.type = "hidden";
-        input.name = name;
-        input.value = value;
-        form.appendChild(input);
-      };
-
-      addField("accessToken", authResponse.accessToken);
-      addField("refreshToken", authResponse.refreshToken || "");
-      addField("expiresIn", authResponse.expiresIn || 3600);
-
-      document.body.appendChild(form);
-      form.submit();
+        profile,
+      });
+      setHandoffTokens({ ...authResponse, profile });
     } catch (err) {
       setError("Failed to log in. Please try again.");
       console.error("Login error:", err);
     }
-  }, []);
+  }, [setSession, pathname]);
+
+  const handleHandedOver = useCallback(() => setHandoffTokens(null), []);
 
   useEffect(() => {
-    const verifySession = async () => {
-      const session = localStorage.getItem("kc_session");
-      if (!session) return;
+    const controller = new AbortController();
+
+    const checkSession = async () => {
+      const sessionData = getSession();
+      if (!sessionData) return;
 
       try {
-        const sessionData = JSON.parse(session);
-        const response = await fetch(
-          "https://kingslist.pro/app/default/api/verify_session.php",
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ accessToken: sessionData.accessToken }),
-          }
-        );
-
-        if (response.ok) {
-          const data = await response.json();
-          if (data.valid) {
-            setAccessToken(sessionData.accessToken);
-            setIsLoggedIn(true);
-          } else {
-            localStorage.removeItem("kc_session");
-          }
-        }
+        await verifySession(sessionData, { signal: controller.signal });
       } catch (err) {
-        console.error("Session verification failed:", err);
-        localStorage.removeItem("kc_session");
+        if (err instanceof AuthExpiredError) {
+          logout();
+        } else if (!isAbortError(err)) {
+          // A network blip is not a verdict on the session; keep it.
+          console.error("Session verification failed:", err);
+        }
       }
     };
 
-    verifySession();
-  }, []);
+    checkSession();
+    return () => controller.abort();
+  }, [logout]);
 
-  const updateDispatchStatus = useCallback(async (dmsg_id) => {
-    try {
-      const {  failed } = progressRef.current;
-      const messageMetrics = getMessageMetrics();
-      const uniqueProcessed = messageMetrics.successCount + messageMetrics.errorCount;
-    const totalAttempts = Object.values(retryCounts).reduce((a, b) => a + b, 0);
-
-    
-      const response = await fetch(
-        "https://kingslist.pro/app/default/api/updateDispatchCount.php",
-        {
-          method: "POST",
-          credentials: "include",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            dmsg_id,
-            dispatch_count: uniqueProcessed,
-            attempts: totalAttempts,
-            status: failed > 0 && uniqueProcessed < progressRef.current.total ? 1 : 2,
-          }),
-        }
-      );
-
-      const data = await response.json();
-      if (!data.success) throw new Error(data.error || "Failed to update status");
-      return data;
-    } catch (error) {
-      console.error("Status update failed:", error);
-      throw error;
-    }
-  }, [retryCounts]);
+  useEffect(() => {
+    setConcurrency(getDispatchPreferences(accountId).concurrency);
+  }, [accountId]);
+
+  useEffect(() => {
+    setSchedule(getDispatchSchedule(dispatchId));
+  }, [dispatchId]);
 
-  const handleDispatch = useCallback(async (dmsg_id) => {
+  const handleConcurrencyChange = (event) => {
+    setConcurrency(saveDispatchPreferences(accountId, { concurrency: event.target.value }).concurrency);
+  };
+
+  const handleDispatch = useCallback(async (dmsg_id, dispatchSchedule = getDispatchSchedule(dmsg_id), { retryFailed = false } = {}) => {
     setError("");
-    setDispatching(true);
-    updateProgress(() => ({ current: 0, total: 0, success: 0, failed: 0 }));
-    setRetryCounts({});
-    setProcessedMessages(new Set());
-    resetMessageMetrics();
-
-    // Rate limiting configuration
-    const RATE_LIMIT = {
-        MESSAGE_DELAY_MS: 3000, // Base delay between messages
-        RETRY_DELAY_MS: 3000,   // Delay for retries
-        BATCH_DELAY_MS: 5000,   // Delay after each batch
-        MAX_RETRY_ATTEMPTS: 1,  // Max retry attempts
-        BATCH_SIZE: 10          // Messages per batch
-    };
+    setWarning("");
+    setInvalidRecipients([]);
+    const nextRunner = new DispatchRunner(dmsg_id, {
+      settings: { concurrency, schedule: dispatchSchedule, retryFailed },
+    });
+    runnerRef.current = nextRunner;
+    setRunner(nextRunner);
 
     try {
-        const batchData = await fetchDispatchBatch(dmsg_id);
-        let messages = prepareMessagesForDispatch(batchData);
-
-        messages = messages.map(msg => ({
-            ...msg,
-            body: msg.body
-                .replace(/<kc_username>/g, msg.username)
-                .replace(/<fullname>/g, msg.fullname),
-        }));
-
-        let remainingMessages = messages;
-        let attempt = 0;
-
-        updateProgress(prev => ({ ...prev, total: messages.length }));
-
-        while (remainingMessages.length > 0 && attempt < RATE_LIMIT.MAX_RETRY_ATTEMPTS) {
-            const currentBatch = remainingMessages.slice(0, RATE_LIMIT.BATCH_SIZE);
-            remainingMessages = remainingMessages.slice(RATE_LIMIT.BATCH_SIZE);
-
-            // Update retry counts
-            setRetryCounts(prev => {
-                const newCounts = { ...prev };
-                currentBatch.forEach(msg => {
-                    if (!processedMessages.has(msg.kc_id)) {
-                        newCounts[msg.kc_id] = (newCounts[msg.kc_id] || 0) + 1;
-                    }
-                });
-                return newCounts;
-            });
-
-            // Process current batch
-            for (const msg of currentBatch) {
-                if (processedMessages.has(msg.kc_id)) continue;
-
-                try {
-                    await new Promise(res => setTimeout(res, RATE_LIMIT.MESSAGE_DELAY_MS));
-                    const res = await sendMessage(accessToken, msg.kc_id, msg.body);
-
-                    if (res.success) {
-                        setProcessedMessages(prev => new Set(prev).add(msg.kc_id));
-                        updateProgress(prev => ({
-                            ...prev,
-                            current: prev.current + 1,
-                            success: prev.success + 1,
-                        }));
-                        continue;
-                    }
-                } catch (err) {
-                    console.warn(`Error sending to ${msg.kc_id}:`, err.message);
-                }
-
-                const currentRetry = retryCounts[msg.kc_id] || 0;
-                if (currentRetry < RATE_LIMIT.MAX_RETRY_ATTEMPTS) {
-                    remainingMessages.push(msg);
-                } else {
-                    updateProgress(prev => ({
-                        ...prev,
-                        current: prev.current + 1,
-                        failed: prev.failed + 1,
-                    }));
-                }
-            }
-
-            attempt++;
-            if (remainingMessages.length > 0) {
-              const delayAttempt = attempt; 
-              await new Promise(res => setTimeout(res, 
-                  delayAttempt === 1 ? RATE_LIMIT.BATCH_DELAY_MS : RATE_LIMIT.RETRY_DELAY_MS
-              ));
-          }
-        }
+      await nextRunner.start();
+      // Cancelled by leaving the page: keep the schedule, stay off the URL
+      if (!mountedRef.current) return;
+      // Done with, or called off: don't start it again on the next load
+      clearDispatchSchedule(dmsg_id);
+      setSchedule(null);
+      // Leave the /run route so a reload doesn't start the batch again
+      if (nextRunner.state === "completed") {
+        navigate(`/dispatch/${dmsg_id}`, { replace: true });
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      if (err instanceof AuthExpiredError) {
+        // kingslist.pro no longer accepts this login; let the user log
+        // in again before the batch is retried.
+        sessionStorage.removeItem(dispatchStatusKey(dmsg_id));
+        logout();
+      } else if (err instanceof EmptyBatchError) {
+        sessionStorage.setItem(dispatchStatusKey(dmsg_id), "completed");
+      }
+      setError(`Dispatch error: ${describeApiError(err)}`);
+    }
+  }, [navigate, logout, concurrency]);
 
-        const finalStatus = await updateDispatchStatus(dmsg_id);
-        if (!finalStatus.success) throw new Error("Update failed");
+  const handleSchedule = () => {
+    try {
+      const next = saveDispatchSchedule(dispatchId, {
+        startAt: scheduleForm.startAt || null,
+        window: scheduleForm.limitHours ? { start: scheduleForm.start, end: scheduleForm.end } : null,
+      });
+      setSchedule(next);
+      setShowSchedule(false);
+      handleDispatch(dispatchId, next);
+    } catch (err) {
+      setError(`Could not schedule the dispatch: ${err.message}`);
+    }
+  };
 
-        sessionStorage.setItem(`dispatch_status_${dmsg_id}`, "completed");
-        sessionStorage.setItem(`dispatch_analytics_${dmsg_id}`, JSON.stringify({
-            success: progressRef.current.success,
-            failed: progressRef.current.failed,
-            retries: Object.values(retryCounts).filter(c => c > 1).length
-        }));
-        
-        const newUrl = new URL(window.location.href);
-        newUrl.searchParams.set("start_dispatch", "2");
-        window.history.pushState({}, "", newUrl.toString());
+  const updateScheduleForm = (field) => (event) => {
+    const value = event.target.type === "checkbox" ? event.target.checked : event.target.value;
+    setScheduleForm((form) => ({ ...form, [field]: value }));
+  };
 
+  // Sends whose outcome we never learned are held back until the user says
+  // whether they arrived.
+  const handleResolveUnknown = async (status) => {
+    try {
+      setJournalSummary(await resolveUnknownRecipients(dispatchId, status));
     } catch (err) {
-        setError(`Dispatch error: ${err.message}`);
-    } finally {
-        setDispatching(false);
+      setError(`Could not update the dispatch record: ${err.message}`);
     }
-}, [accessToken, updateDispatchStatus, processedMessages, retryCounts]);
+  };
 
+  // Auto-start once per visit to the /run route (a dispatch.start command
+  // navigates there again) or for a saved schedule, unless this batch
+  // already completed in this session.
+  const autoStartedRef = useRef(false);
   useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const dmsg_id = urlParams.get("dmsg_id");
-    const start = urlParams.get("start_dispatch");
-    const status = sessionStorage.getItem(`dispatch_status_${dmsg_id}`);
-
-    if (
-      isLoggedIn &&
-      dmsg_id &&
-      !dispatching &&
-      start === "1" &&
-      status === "in_progress"
-    ) {
-      handleDispatch(dmsg_id);
-    }
-  }, [isLoggedIn, dispatching, handleDispatch]);
+    autoStartedRef.current = false;
+  }, [locationKey]);
+  useEffect(() => {
+    if (!(autoStart || schedule) || autoStartedRef.current || !isLoggedIn || dispatching) return;
+    if (sessionStorage.getItem(dispatchStatusKey(dispatchId)) === "completed") return;
+
+    autoStartedRef.current = true;
+    handleDispatch(dispatchId);
+  }, [autoStart, schedule, isLoggedIn, dispatching, dispatchId, handleDispatch]);
 
   // Helper: Visual Progress Bar
   const ProgressBar = () => {
@@ -317,12 +297,7 @@ function App() {
 
   const DispatchAnalytics = () => {
     if (!progress.total || (dispatching && progress.current === 0)) return null;
-    
-    // Get the message send metrics
-    const messageMetrics = getMessageMetrics();
-    const metrics = getMessageMetrics();
-console.log(`Final Message Metrics - Successes: ${metrics.successCount}, Errors: ${metrics.errorCount}`);
-  
+
     return (
       <div style={{ marginTop: "20px", padding: "10px", border: "1px solid #ccc", borderRadius: "8px" }}>
         {progress.current >= progress.total && (
@@ -334,22 +309,52 @@ console.log(`Final Message Metrics - Successes: ${metrics.successCount}, Errors:
         <p><strong>Total:</strong> {progress.total}</p>
         {/* <p style={{ color: "#28a745" }}><strong>Success:</strong> {progress.success}</p>
         <p style={{ color: "#dc3545" }}><strong>Failed:</strong> {progress.failed}</p> */}
-        <p style={{ color: "#ffc107" }}><strong>Retried:</strong> {
-          Object.values(retryCounts).filter(count => count > 1).length
-        }</p>
+        <p style={{ color: "#ffc107" }}><strong>Retried:</strong> {progress.retried}</p>
+        {progress.rateLimited > 0 && (
+          <p style={{ color: "#fd7e14" }}><strong>Rate Limited:</strong> {progress.rateLimited}</p>
+        )}
         
-        {/* Add the message send metrics */}
         <h4 style={{ marginTop: "15px" }}>Message Send Metrics</h4>
-        <p style={{ color: "#28a745" }}><strong> Successes:</strong> {messageMetrics.successCount}</p>
-        <p style={{ color: "#dc3545" }}><strong> Errors:</strong> {messageMetrics.errorCount}</p>
+        <p style={{ color: "#28a745" }}><strong> Successes:</strong> {progress.success}</p>
+        <p style={{ color: "#dc3545" }}><strong> Errors:</strong> {progress.failed}</p>
+        {progress.unknown > 0 && (
+          <p style={{ color: "#fd7e14" }}><strong> Needs verification:</strong> {progress.unknown}</p>
+        )}
+        {progress.invalid > 0 && (
+          <div style={{ color: "#dc3545" }}>
+            <p><strong> Not sent (missing details):</strong> {progress.invalid}</p>
+            <ul style={{ fontSize: "13px", marginTop: 0 }}>
+              {invalidRecipients.map(({ kcId, name, missing }) => (
+                <li key={kcId}>{name}: no {missing.join(", ")}</li>
+              ))}
+              {progress.invalid > invalidRecipients.length && (
+                <li>and {progress.invalid - invalidRecipients.length} more</li>
+              )}
+            </ul>
+          </div>
+        )}
         
-        <a href="https://kingslist.pro/messages" style={{ color: "#007bff", textDecoration: "underline" }}>
+        <a href={getConfig().messagesPageUrl} style={{ color: "#007bff", textDecoration: "underline" }}>
           Go to Messages Page
         </a>
       </div>
     );
   };
 
+  const controlButtonStyle = {
+    padding: "6px 14px",
+    color: "white",
+    border: "none",
+    borderRadius: "5px",
+    cursor: "pointer",
+    fontWeight: "bold",
+    marginRight: "10px",
+  };
+
+  if (handoffTokens) {
+    return <TokenCallback tokens={handoffTokens} onClose={handleHandedOver} />;
+  }
+
   return (
     <div style={{ padding: "30px", maxWidth: "600px", margin: "auto", fontFamily: "sans-serif" }}>
       <h2 style={{ color: "#2a2a2a" }}>Kingslist Portal</h2>
@@ -361,6 +366,12 @@ console.log(`Final Message Metrics - Successes: ${metrics.successCount}, Errors:
         </div>
       )}
 
+      {warning && (
+        <div style={{ background: "#fff4e0", padding: "10px", borderRadius: "5px", color: "#8a5a00", marginTop: "10px" }}>
+          {warning}
+        </div>
+      )}
+
       {!isLoggedIn ? (
         <button
           onClick={handleLogin}
@@ -380,14 +391,89 @@ console.log(`Final Message Metrics - Successes: ${metrics.successCount}, Errors:
         <div>
           {dispatching && (
             <div style={{ margin: "20px 0", color: "#28a745" }}>
-              Dispatching... {progress.current} / {progress.total} (
-              {progress.success} success, {progress.failed} failed)
+              {runState === "scheduled" ? (
+                <>Scheduled to start {new Date(waitingUntil).toLocaleString()}</>
+              ) : (
+                <>
+                  {runState === "paused" ? "Paused" : "Dispatching..."} {progress.current} / {progress.total} (
+                  {progress.success} success, {progress.failed} failed)
+                </>
+              )}
+              {runState === "refreshing" && (
+                <div style={{ fontSize: "13px", color: "#8a5a00" }}>
+                  KingsChat asked for a new login, refreshing it and carrying on
+                </div>
+              )}
+              {runState === "waiting" && (
+                <div style={{ fontSize: "13px", color: "#8a5a00" }}>
+                  Outside sending hours, continuing {new Date(waitingUntil).toLocaleString()}
+                </div>
+              )}
+              {runState === "running" && progress.perMinute > 0 && (
+                <div style={{ fontSize: "13px", color: "#666" }}>
+                  Sending about {progress.perMinute} messages/min
+                  {progress.inFlight > 1 && `, ${progress.inFlight} at once`}
+                  {progress.rateLimited > 0 && ` (slowed down ${progress.rateLimited}x by KingsChat)`}
+                </div>
+              )}
               <ProgressBar />
+              {runState !== "loading" && (
+                <div style={{ marginTop: "10px" }}>
+                  {(runState === "running" || runState === "paused") && (
+                    <button
+                      onClick={() => (runState === "paused" ? runner.resume() : runner.pause())}
+                      style={{ ...controlButtonStyle, background: "#ffc107", color: "#2a2a2a" }}
+                    >
+                      {runState === "paused" ? "Resume" : "Pause"}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => runner.cancel()}
+                    style={{ ...controlButtonStyle, background: "#dc3545" }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
             </div>
           )}
 
           <DispatchAnalytics />
 
+          {!dispatching && journalSummary?.unknown > 0 && (
+            <div style={{ margin: "20px 0", padding: "10px", background: "#fff4e0", borderRadius: "8px" }}>
+              <p style={{ marginTop: 0 }}>
+                {journalSummary.unknown} message(s) may or may not have been delivered. Check with the
+                recipients, then:
+              </p>
+              <button
+                onClick={() => handleResolveUnknown(RecipientStatus.SENT)}
+                style={{ ...controlButtonStyle, background: "#28a745" }}
+              >
+                Mark as Delivered
+              </button>
+              <button
+                onClick={() => handleResolveUnknown(RecipientStatus.PENDING)}
+                style={{ ...controlButtonStyle, background: "#6c757d" }}
+              >
+                Send Again
+              </button>
+            </div>
+          )}
+
+          {!dispatching && dispatchId && (
+            <div style={{ marginBottom: "10px", fontSize: "14px" }}>
+              <label>
+                Parallel sends:{" "}
+                <select value={concurrency} onChange={handleConcurrencyChange}>
+                  {Array.from({ length: MAX_CONCURRENCY }, (_, i) => i + 1).map((n) => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+
           {!dispatching && dispatchId && (
             <button
               onClick={() => handleDispatch(dispatchId)}
@@ -401,13 +487,104 @@ console.log(`Final Message Metrics - Successes: ${metrics.successCount}, Errors:
                 fontWeight: "bold",
               }}
             >
-              Start Dispatch
+              {journalSummary?.pending > 0
+                ? `Resume Dispatch (${journalSummary.sent + journalSummary.failed + journalSummary.unknown} done, ${journalSummary.pending} left)`
+                : "Start Dispatch"}
+            </button>
+          )}
+
+          {!dispatching && dispatchId && journalSummary && journalSummary.failed + journalSummary.unknown > 0 && (
+            <button
+              onClick={() => handleDispatch(dispatchId, null, { retryFailed: true })}
+              style={{ ...controlButtonStyle, background: "#fd7e14", marginLeft: "10px" }}
+            >
+              Retry Failed ({journalSummary.failed + journalSummary.unknown})
+            </button>
+          )}
+
+          {!dispatching && dispatchId && (
+            <Link
+              to={`/dispatch/${dispatchId}/preview`}
+              style={{ marginLeft: "15px", color: "#007bff", textDecoration: "underline" }}
+            >
+              Preview messages
+            </Link>
+          )}
+
+          {!dispatching && dispatchId && (
+            <button
+              onClick={() => {
+                getDispatchQueue().add([dispatchId]);
+                navigate("/queue");
+              }}
+              style={{ marginLeft: "15px", background: "none", border: "none", color: "#007bff", textDecoration: "underline", cursor: "pointer", fontSize: "inherit" }}
+            >
+              Add to queue
             </button>
           )}
+
+          {!dispatching && dispatchId && (
+            <button
+              onClick={() => setShowTestSend((shown) => !shown)}
+              style={{ marginLeft: "15px", background: "none", border: "none", color: "#007bff", textDecoration: "underline", cursor: "pointer", fontSize: "inherit" }}
+            >
+              {showTestSend ? "Hide test send" : "Send a test"}
+            </button>
+          )}
+
+          {!dispatching && dispatchId && (
+            <button
+              onClick={() => setShowReport((shown) => !shown)}
+              style={{ marginLeft: "15px", background: "none", border: "none", color: "#007bff", textDecoration: "underline", cursor: "pointer", fontSize: "inherit" }}
+            >
+              {showReport ? "Hide delivery report" : "Delivery report"}
+            </button>
+          )}
+
+          {!dispatching && dispatchId && (
+            <button
+              onClick={() => setShowSchedule((shown) => !shown)}
+              style={{ marginLeft: "15px", background: "none", border: "none", color: "#007bff", textDecoration: "underline", cursor: "pointer", fontSize: "inherit" }}
+            >
+              {showSchedule ? "Hide schedule" : "Schedule"}
+            </button>
+          )}
+
+          {!dispatching && dispatchId && showSchedule && (
+            <div style={{ margin: "20px 0", padding: "10px", border: "1px solid #ccc", borderRadius: "8px", fontSize: "14px" }}>
+              <h4 style={{ marginTop: 0 }}>Schedule Dispatch</h4>
+              <label style={{ display: "block", marginBottom: "8px" }}>
+                Start at (leave empty for now):{" "}
+                <input type="datetime-local" value={scheduleForm.startAt} onChange={updateScheduleForm("startAt")} />
+              </label>
+              <label style={{ display: "block", marginBottom: "8px" }}>
+                <input type="checkbox" checked={scheduleForm.limitHours} onChange={updateScheduleForm("limitHours")} />
+                {" "}Only send between{" "}
+                <input type="time" value={scheduleForm.start} onChange={updateScheduleForm("start")} disabled={!scheduleForm.limitHours} />
+                {" "}and{" "}
+                <input type="time" value={scheduleForm.end} onChange={updateScheduleForm("end")} disabled={!scheduleForm.limitHours} />
+              </label>
+              <p style={{ fontSize: "13px", color: "#666" }}>
+                Hours are in each recipient's timezone when kingslist.pro has it, otherwise {deviceTimeZone()}.
+                Keep the app open or let it wake this page; the schedule survives reloads.
+              </p>
+              <button onClick={handleSchedule} style={{ ...controlButtonStyle, background: "#28a745" }}>
+                Schedule
+              </button>
+            </div>
+          )}
+
+          {!dispatching && dispatchId && showTestSend && (
+            <TestSendPanel dmsgId={dispatchId} accountId={accountId} profile={session?.profile} />
+          )}
+
+          {!dispatching && dispatchId && showReport && (
+            <DeliveryReport dmsgId={dispatchId} reloadKey={runState} />
+          )}
         </div>
       )}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default DispatchPortal;
\ No newline at end of file
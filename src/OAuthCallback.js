@@ -0,0 +1,135 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { fetchUserProfile } from "./services/kingschat";
+import { completeRedirectLogin } from "./services/oauthRedirect";
+import { setSession } from "./services/sessionStore";
+import TokenCallback from "./TokenCallback";
+
+// Landing page for the redirect login. Validates the callback, stores the
+// session and hands the tokens to Flutter through TokenCallback, then goes
+// back to the page the login started from, if it gave one.
+function OAuthCallback() {
+  const navigate = useNavigate();
+  const { pathname, search } = useLocation();
+  const startedRef = useRef(false);
+  const [tokens, setTokens] = useState(null);
+  const [error, setError] = useState("");
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    // Drop code and state from the URL before using them, so they don't stay
+    // in the history or leak through a reload or the Referer
+    navigate(pathname, { replace: true });
+
+    const finishLogin = async () => {
+      try {
+        const authResponse = await completeRedirectLogin(search);
+
+        let profile = null;
+        try {
+          profile = await fetchUserProfile(authResponse.accessToken);
+        } catch (profileError) {
+          console.warn("Profile fetch failed, continuing without profile.", profileError);
+        }
+
+        setSession({ ...authResponse, timestamp: Date.now(), profile });
+        setTokens({ ...authResponse, profile });
+      } catch (err) {
+        console.error("Redirect login failed:", err);
+        setError(err.message || "Failed to log in. Please try again.");
+      }
+    };
+
+    finishLogin();
+  }, [navigate, pathname, search]);
+
+  const handleHandedOver = useCallback(() => {
+    if (tokens?.returnTo) navigate(tokens.returnTo, { replace: true });
+    else setConnected(true);
+  }, [tokens, navigate]);
+
+  const containerStyle = {
+    display: "flex",
+    justifyContent: "center",
+    alignItems: "center",
+    minHeight: "100vh",
+    backgroundColor: "#f5f5f5",
+    padding: "20px"
+  };
+
+  const cardStyle = {
+    background: "white",
+    borderRadius: "8px",
+    boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+    padding: "32px",
+    width: "100%",
+    maxWidth: "400px",
+    textAlign: "center"
+  };
+
+  const headingStyle = {
+    margin: "0 0 16px",
+    color: "#333",
+    fontSize: "24px",
+    fontWeight: "600"
+  };
+
+  const textStyle = {
+    color: "#666",
+    margin: "0 0 24px",
+    fontSize: "15px"
+  };
+
+  const errorStyle = {
+    color: "#d32f2f",
+    backgroundColor: "#fde8e8",
+    padding: "12px",
+    borderRadius: "6px",
+    marginBottom: "20px",
+    fontSize: "14px"
+  };
+
+  if (error) {
+    return (
+      <div style={containerStyle}>
+        <div style={cardStyle}>
+          <h2 style={headingStyle}>Login Failed</h2>
+          <div style={errorStyle}>{error}</div>
+          <a href="/" style={{ color: "#4a6bff" }}>Try again</a>
+        </div>
+      </div>
+    );
+  }
+
+  if (connected) {
+    return (
+      <div style={containerStyle}>
+        <div style={cardStyle}>
+          <h2 style={headingStyle}>✓ Connection Successful</h2>
+          <p style={textStyle}>Your account has been connected to the app.</p>
+          <p style={{ ...textStyle, fontSize: "13px", color: "#999" }}>
+            You can now close this window.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (tokens) {
+    return <TokenCallback tokens={tokens} onClose={handleHandedOver} />;
+  }
+
+  return (
+    <div style={containerStyle}>
+      <div style={cardStyle}>
+        <h2 style={headingStyle}>Completing login...</h2>
+        <p style={textStyle}>Please wait while we verify your KingsChat account.</p>
+      </div>
+    </div>
+  );
+}
+
+export default OAuthCallback;
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useSession } from "./hooks/useSession";
+import { getDispatchQueue } from "./services/dispatchQueue";
+import { AuthExpiredError } from "./services/apiErrors";
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  running: "Sending",
+  completed: "Done",
+  skipped: "Skipped",
+  cancelled: "Cancelled",
+  error: "Failed",
+};
+
+const STATUS_COLORS = {
+  running: "#007bff",
+  completed: "#28a745",
+  error: "#dc3545",
+};
+
+const startQueue = (queue) => {
+  queue.start().catch((err) => console.error("Dispatch queue stopped:", err));
+};
+
+// Dispatch queue at /queue: several dmsg_ids sent one after another.
+function QueuedDispatches() {
+  const queue = getDispatchQueue();
+  const { isLoggedIn, logout } = useSession();
+  const [snapshot, setSnapshot] = useState(() => queue.snapshot());
+  const [newIds, setNewIds] = useState("");
+
+  useEffect(() => {
+    setSnapshot(queue.snapshot());
+    const unsubscribers = [
+      queue.on("change", setSnapshot),
+      // The queue waits for the user to log in again
+      queue.on("error", ({ error }) => {
+        if (error instanceof AuthExpiredError) logout();
+      }),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [queue, logout]);
+
+  // Carry on with a queue that was running before a reload or a re-login,
+  // or that the app asked to start
+  useEffect(() => {
+    if (isLoggedIn && queue.wantsToRun && !queue.running) startQueue(queue);
+  }, [isLoggedIn, queue, snapshot]);
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    queue.add(newIds.split(/[\s,]+/));
+    setNewIds("");
+  };
+
+  const smallButtonStyle = {
+    padding: "2px 8px",
+    marginLeft: "4px",
+    border: "1px solid #ccc",
+    borderRadius: "4px",
+    background: "white",
+    cursor: "pointer",
+  };
+  const buttonStyle = {
+    padding: "10px 20px",
+    color: "white",
+    border: "none",
+    borderRadius: "5px",
+    cursor: "pointer",
+    fontWeight: "bold",
+    marginRight: "10px",
+  };
+
+  const hasQueued = snapshot.items.some((item) => item.status === "queued");
+  const hasFinished = snapshot.items.some((item) => !["queued", "running"].includes(item.status));
+
+  return (
+    <div style={{ padding: "30px", maxWidth: "600px", margin: "auto", fontFamily: "sans-serif" }}>
+      <h2 style={{ color: "#2a2a2a" }}>Dispatch Queue</h2>
+      <p>Batches are sent one after another, in this order.</p>
+
+      <form onSubmit={handleAdd} style={{ marginBottom: "20px" }}>
+        <input
+          value={newIds}
+          onChange={(event) => setNewIds(event.target.value)}
+          placeholder="Batch IDs (dmsg_id), separated by commas"
+          style={{ width: "70%", padding: "6px" }}
+        />
+        <button type="submit" style={{ ...smallButtonStyle, padding: "6px 12px" }} disabled={!newIds.trim()}>
+          Add
+        </button>
+      </form>
+
+      {snapshot.waitingFor && (
+        <p style={{ color: "#8a5a00" }}>
+          Waiting for batch {snapshot.waitingFor} to finish sending before starting the next one.
+        </p>
+      )}
+
+      {snapshot.items.length === 0 && <p>No batches queued.</p>}
+
+      {snapshot.items.map((item, index) => (
+        <div key={item.dmsgId} style={{ padding: "8px 0", borderBottom: "1px solid #eee" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <span>
+              <Link to={`/dispatch/${item.dmsgId}`}>Batch {item.dmsgId}</Link>{" "}
+              <span style={{ color: STATUS_COLORS[item.status] || "#666", fontSize: "13px" }}>
+                {STATUS_LABELS[item.status]}
+                {item.progress?.total > 0 && ` ${item.progress.current} / ${item.progress.total}`}
+              </span>
+            </span>
+            <span>
+              {item.status === "queued" && (
+                <>
+                  <button style={smallButtonStyle} onClick={() => queue.move(item.dmsgId, -1)} disabled={index === 0}>
+                    ↑
+                  </button>
+                  <button
+                    style={smallButtonStyle}
+                    onClick={() => queue.move(item.dmsgId, 1)}
+                    disabled={index === snapshot.items.length - 1}
+                  >
+                    ↓
+                  </button>
+                </>
+              )}
+              {(item.status === "queued" || item.status === "running") && (
+                <button style={smallButtonStyle} onClick={() => queue.skip(item.dmsgId)}>Skip</button>
+              )}
+              {!["queued", "running"].includes(item.status) && (
+                <button style={smallButtonStyle} onClick={() => queue.requeue(item.dmsgId)}>Queue again</button>
+              )}
+              <button style={smallButtonStyle} onClick={() => queue.remove(item.dmsgId)}>
+                {item.status === "running" ? "Cancel" : "Remove"}
+              </button>
+            </span>
+          </div>
+          {item.error && <div style={{ color: "#b00020", fontSize: "13px" }}>{item.error}</div>}
+        </div>
+      ))}
+
+      <div style={{ marginTop: "20px" }}>
+        {!isLoggedIn ? (
+          <Link to="/login" style={{ color: "#007bff", textDecoration: "underline" }}>
+            Log in with KingsChat to send
+          </Link>
+        ) : snapshot.running ? (
+          <button style={{ ...buttonStyle, background: "#dc3545" }} onClick={() => queue.stop()}>
+            Stop Queue
+          </button>
+        ) : (
+          <button style={{ ...buttonStyle, background: "#28a745" }} onClick={() => startQueue(queue)} disabled={!hasQueued}>
+            Start Queue
+          </button>
+        )}
+        {hasFinished && !snapshot.running && (
+          <button style={{ ...buttonStyle, background: "#6c757d" }} onClick={() => queue.clearFinished()}>
+            Clear Finished
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default QueuedDispatches;
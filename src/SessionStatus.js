@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useSession } from "./hooks/useSession";
+import { refreshSession } from "./services/sessionManager";
+import { getSessionExpiry, getStorageMode } from "./services/sessionStore";
+import { getPendingMessages } from "./services/bridgeOutbox";
+import { isInWebView } from "./services/bridge";
+
+const formatRemaining = (ms) => {
+  if (ms <= 0) return "expired";
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${minutes}m ${seconds}s`;
+};
+
+// Session status page at /status, for the Flutter host and for support.
+function SessionStatus() {
+  const { session, isLoggedIn, logout } = useSession();
+  const [now, setNow] = useState(Date.now());
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleRefresh = async () => {
+    setError("");
+    setRefreshing(true);
+    try {
+      await refreshSession();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const rowStyle = { display: "flex", justifyContent: "space-between", padding: "6px 0", borderBottom: "1px solid #eee" };
+  const buttonStyle = {
+    padding: "10px 20px",
+    background: "#007bff",
+    color: "white",
+    border: "none",
+    borderRadius: "5px",
+    cursor: "pointer",
+    fontWeight: "bold",
+    marginRight: "10px",
+  };
+
+  const expiresAt = session ? getSessionExpiry(session) : null;
+
+  return (
+    <div style={{ padding: "30px", maxWidth: "600px", margin: "auto", fontFamily: "sans-serif" }}>
+      <h2 style={{ color: "#2a2a2a" }}>Session Status</h2>
+
+      {error && (
+        <div style={{ background: "#ffe0e0", padding: "10px", borderRadius: "5px", color: "#b00020", marginBottom: "10px" }}>
+          {error}
+        </div>
+      )}
+
+      <div style={rowStyle}><strong>Logged in</strong><span>{isLoggedIn ? "Yes" : "No"}</span></div>
+      {session && session.profile && (
+        <div style={rowStyle}><strong>Account</strong><span>{session.profile.name || session.profile.username}</span></div>
+      )}
+      {expiresAt && (
+        <>
+          <div style={rowStyle}><strong>Token expires</strong><span>{new Date(expiresAt).toLocaleString()}</span></div>
+          <div style={rowStyle}><strong>Time left</strong><span>{formatRemaining(expiresAt - now)}</span></div>
+        </>
+      )}
+      <div style={rowStyle}><strong>Token storage</strong><span>{getStorageMode()}</span></div>
+      <div style={rowStyle}><strong>Inside app WebView</strong><span>{isInWebView() ? "Yes" : "No"}</span></div>
+      <div style={rowStyle}><strong>Unacknowledged app messages</strong><span>{getPendingMessages().length}</span></div>
+
+      <div style={{ marginTop: "20px" }}>
+        {isLoggedIn ? (
+          <>
+            <button style={buttonStyle} onClick={handleRefresh} disabled={refreshing || !session.refreshToken}>
+              {refreshing ? "Refreshing..." : "Refresh Token"}
+            </button>
+            <button style={{ ...buttonStyle, background: "#dc3545" }} onClick={logout}>
+              Log Out
+            </button>
+          </>
+        ) : (
+          <Link to="/login" style={{ color: "#007bff", textDecoration: "underline" }}>
+            Log in with KingsChat
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SessionStatus;
@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from "react";
+import { MAX_TEST_RECIPIENTS, loadSampleRecipients, sendTestMessage } from "./services/testSend";
+import { getDispatchPreferences, parseTestRecipients, saveDispatchPreferences } from "./services/dispatchPreferences";
+import { renderTemplate } from "./services/messageTemplate";
+import { describeApiError, isAbortError } from "./services/apiErrors";
+
+const previewFor = (sample) => {
+  try {
+    return renderTemplate(sample.body, sample);
+  } catch (err) {
+    return { text: "", missing: [], error: err.message };
+  }
+};
+
+// "Send test" panel of the dispatch portal: renders the message for a
+// sample recipient and sends it only to the admin's test accounts.
+function TestSendPanel({ dmsgId, accountId, profile }) {
+  const [samples, setSamples] = useState([]);
+  const [sampleIndex, setSampleIndex] = useState(0);
+  const [recipientsText, setRecipientsText] = useState(() => {
+    const saved = getDispatchPreferences(accountId).testRecipients;
+    return (saved.length ? saved : [profile?.id].filter(Boolean)).join(", ");
+  });
+  const [sending, setSending] = useState(false);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setSamples([]);
+    setSampleIndex(0);
+    loadSampleRecipients(dmsgId, { signal: controller.signal })
+      .then(setSamples)
+      .catch((err) => {
+        if (!isAbortError(err)) setError(describeApiError(err));
+      });
+    return () => controller.abort();
+  }, [dmsgId]);
+
+  const sample = samples[sampleIndex];
+  const preview = sample ? previewFor(sample) : null;
+
+  const handleSend = async () => {
+    setError("");
+    setResults(null);
+    const testRecipients = parseTestRecipients(recipientsText);
+    saveDispatchPreferences(accountId, { testRecipients });
+    setSending(true);
+    try {
+      setResults((await sendTestMessage(sample, testRecipients)).results);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div style={{ margin: "20px 0", padding: "10px", border: "1px solid #ccc", borderRadius: "8px", fontSize: "14px" }}>
+      <h4 style={{ marginTop: 0 }}>Send a Test</h4>
+
+      {error && <p style={{ color: "#b00020" }}>{error}</p>}
+      {!sample && !error && <p>Loading sample recipients...</p>}
+
+      {sample && (
+        <>
+          <label style={{ display: "block", marginBottom: "8px" }}>
+            Render for:{" "}
+            <select value={sampleIndex} onChange={(event) => setSampleIndex(Number(event.target.value))}>
+              {samples.map((row, index) => (
+                <option key={row.kc_id} value={index}>{row.fullname || row.username || row.kc_id}</option>
+              ))}
+            </select>
+          </label>
+          <div style={{ whiteSpace: "pre-wrap", background: "#f5f5f5", padding: "8px", borderRadius: "5px" }}>
+            {preview.error || preview.text}
+          </div>
+          {preview.missing.length > 0 && (
+            <p style={{ color: "#8a5a00" }}>This recipient has no {preview.missing.join(", ")}.</p>
+          )}
+
+          <label style={{ display: "block", margin: "8px 0" }}>
+            Send to (KingsChat user IDs, up to {MAX_TEST_RECIPIENTS}):
+            <input
+              value={recipientsText}
+              onChange={(event) => setRecipientsText(event.target.value)}
+              style={{ display: "block", width: "100%", marginTop: "4px" }}
+            />
+          </label>
+          <button
+            onClick={handleSend}
+            disabled={sending || Boolean(preview.error)}
+            style={{
+              padding: "6px 14px",
+              background: "#17a2b8",
+              color: "white",
+              border: "none",
+              borderRadius: "5px",
+              cursor: "pointer",
+              fontWeight: "bold",
+            }}
+          >
+            {sending ? "Sending..." : "Send Test"}
+          </button>
+        </>
+      )}
+
+      {results && (
+        <ul>
+          {results.map(({ kcId, ok, error: sendError }) => (
+            <li key={kcId} style={{ color: ok ? "#28a745" : "#b00020" }}>
+              {kcId}: {ok ? "sent" : sendError}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TestSendPanel;
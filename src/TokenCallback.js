@@ -1,4 +1,10 @@
 import React, { useEffect, useRef } from 'react';
+import { MessageType, buildAuthPayload, exposeForPolling, waitForAck } from './services/bridge';
+import { enqueue } from './services/bridgeOutbox';
+
+// How long to keep the "Connecting to app..." screen up while waiting for the
+// native ack. The message is not lost if this runs out.
+const ACK_WAIT_MS = 10000;
 
 function TokenCallback({ tokens, onClose }) {
   const sentRef = useRef(false);
@@ -6,76 +12,32 @@ function TokenCallback({ tokens, onClose }) {
   useEffect(() => {
     if (!tokens || sentRef.current) return;
 
-    const tokenData = {
+    const tokenData = buildAuthPayload({
       accessToken: tokens.accessToken,
-      refreshToken: tokens.refreshToken || "",
-      expiresIn: (tokens.expiresIn || 3600) * 1000, // Convert to milliseconds
-      timestamp: Date.now(),
-      profile: tokens.profile || null
-    };
-
-    // ── Always store for polling-based retrieval ──
-    window.authData = tokenData;
-    try {
-      localStorage.setItem("authData", JSON.stringify(tokenData));
-    } catch (e) {
-      console.warn("localStorage.setItem failed:", e);
-    }
-
-    console.log("[TokenCallback] Auth data stored. Attempting to send to Flutter...");
-
-    // ── Try to send to Flutter via JS channels ──
-    // Retry multiple times because channels may not be ready immediately
-    // (especially after navigation back from KC login page)
-    let attempt = 0;
-    const maxAttempts = 10;
-
-    const trySend = () => {
-      attempt++;
-      const json = JSON.stringify(tokenData);
-      const channels = ["KingsListBridge", "KingsListAuth", "FlutterChannel"];
-
-      for (const ch of channels) {
-        try {
-          if (window[ch] && typeof window[ch].postMessage === "function") {
-            window[ch].postMessage(json);
-            console.log(`[TokenCallback] ✅ Sent via ${ch} (attempt ${attempt})`);
-            sentRef.current = true;
-            // Still call onClose after a delay
-            setTimeout(() => { if (onClose) onClose(); }, 500);
-            return;
-          }
-        } catch (e) {
-          console.warn(`[TokenCallback] ${ch} failed:`, e);
-        }
-      }
-
-      // Also try sendAuthToFlutter (set by bridge injection)
-      try {
-        if (window.sendAuthToFlutter) {
-          const result = window.sendAuthToFlutter(tokenData);
-          if (result) {
-            console.log(`[TokenCallback] ✅ Sent via sendAuthToFlutter (attempt ${attempt})`);
-            sentRef.current = true;
-            setTimeout(() => { if (onClose) onClose(); }, 500);
-            return;
-          }
-        }
-      } catch (e) {}
-
-      if (attempt < maxAttempts) {
-        console.log(`[TokenCallback] No channel available (attempt ${attempt}/${maxAttempts}), retrying in 500ms...`);
-        setTimeout(trySend, 500);
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      profile: tokens.profile,
+    });
+
+    console.log("[TokenCallback] Attempting to send auth data to Flutter...");
+
+    // ── Hand the tokens to Flutter through the outbox ──
+    // The message stays queued until the native side acks it, and is replayed
+    // when a channel is injected late (especially after navigation back from
+    // KC login page), when the page becomes visible again and on next load.
+    const envelope = enqueue(MessageType.AUTH_SUCCESS, tokenData, { collapseKey: "auth" });
+    // Hosts that opted into polling read it from window.authData until the ack.
+    exposeForPolling(envelope);
+    sentRef.current = true;
+
+    waitForAck(envelope.id, ACK_WAIT_MS).then((ack) => {
+      if (ack) {
+        console.log(`[TokenCallback] ✅ Flutter acknowledged ${envelope.id}`);
       } else {
-        console.log("[TokenCallback] Max attempts reached. Data is stored in window.authData and localStorage for polling.");
-        // Close anyway - Flutter polling will pick up the data
-        setTimeout(() => { if (onClose) onClose(); }, 1000);
+        console.log(`[TokenCallback] No ack for ${envelope.id} yet; it stays queued in the outbox.`);
       }
-    };
-
-    // Start sending attempts immediately
-    trySend();
-
+      if (onClose) onClose();
+    });
   }, [tokens, onClose]);
 
   const containerStyle = {
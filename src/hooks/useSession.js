@@ -0,0 +1,21 @@
+import { useCallback, useSyncExternalStore } from "react";
+import { getSession, setSession, subscribe } from "../services/sessionStore";
+import { endSession } from "../services/sessionManager";
+
+// React view of the shared session store. Re-renders on every session change,
+// including logins and logouts made in other tabs.
+export function useSession() {
+  const session = useSyncExternalStore(subscribe, getSession);
+
+  const logout = useCallback(() => endSession(), []);
+
+  return {
+    session,
+    isLoggedIn: !!session,
+    accessToken: session ? session.accessToken : "",
+    setSession,
+    logout,
+  };
+}
+
+export default useSession;
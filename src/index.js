@@ -1,15 +1,43 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
-import App from './App';
+import AppRouter from './AppRouter';
 import reportWebVitals from './reportWebVitals';
+import { CommandType, configureBridge, installBridge, registerCommand } from './services/bridge';
+import { configureOutbox, startOutbox } from './services/bridgeOutbox';
+import { configureSessionStore, getStorageMode, hydrateSession } from './services/sessionStore';
+import { registerSessionCommands } from './services/sessionManager';
+import { loadConfig, setConfigOverrides } from './services/config';
+
+// The bridge goes up first so the host can send config.set while we boot.
+installBridge();
+registerCommand(CommandType.SET_CONFIG, async (overrides) => setConfigOverrides(overrides));
+
+const boot = async () => {
+  const config = await loadConfig();
+
+  configureSessionStore({ storage: config.sessionStorage });
+  configureOutbox({ persist: getStorageMode() !== 'memory', ttlMs: config.outboxTtlMs });
+  configureBridge({ pollingFallback: config.authPolling });
+
+  registerSessionCommands();
+  startOutbox();
+
+  try {
+    await hydrateSession();
+  } catch (error) {
+    console.error('Session restore failed:', error);
+  }
+};
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+boot().finally(() => {
+  root.render(
+    <React.StrictMode>
+      <AppRouter />
+    </React.StrictMode>
+  );
+});
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
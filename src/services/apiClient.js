@@ -0,0 +1,182 @@
+// src/services/apiClient.js
+// Client for the kingslist.pro PHP endpoints. Every call goes through
+// apiRequest, which applies a timeout, honours an AbortSignal and turns
+// failures into the error types in apiErrors.js. Cookies and the session
+// token are only sent to the endpoints that ask for them.
+import { getConfig } from "./config";
+import { getSession } from "./sessionStore";
+import {
+  ApiError,
+  AuthExpiredError,
+  EmptyBatchError,
+  HttpError,
+  MalformedPayloadError,
+  NetworkError,
+  isAbortError,
+} from "./apiErrors";
+
+// Retry-After is either seconds or an HTTP date. Returns ms or null.
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const buildUrl = (path, query) => {
+  const url = `${getConfig().apiBaseUrl}/${path}`;
+  const params = new URLSearchParams();
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) params.append(key, value);
+  });
+  const search = params.toString();
+  return search ? `${url}?${search}` : url;
+};
+
+// Sends one request and resolves with the parsed JSON body.
+//
+// Options: method, query, body (sent as JSON), signal, timeoutMs,
+// auth (send the KingsChat token as a Bearer header), credentials (send
+// the kingslist.pro cookies) and validate(data), which returns a problem
+// description or null.
+export const apiRequest = async (path, {
+  method = "GET",
+  query,
+  body,
+  signal,
+  timeoutMs = getConfig().apiTimeoutMs,
+  auth = false,
+  credentials = false,
+  validate,
+} = {}) => {
+  const endpoint = path;
+  const headers = { Accept: "application/json" };
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+
+  const session = auth ? getSession() : null;
+  if (session?.accessToken) headers.Authorization = `Bearer ${session.accessToken}`;
+
+  // One controller for both the caller's signal and our timeout, so we can
+  // tell which one fired.
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener("abort", abortFromCaller);
+  }
+
+  let response;
+  let text;
+  try {
+    response = await fetch(buildUrl(path, query), {
+      method,
+      credentials: credentials ? "include" : "same-origin",
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+    text = await response.text();
+  } catch (error) {
+    if (timedOut) {
+      throw new NetworkError(`${endpoint} timed out after ${timeoutMs}ms`, { endpoint, timedOut: true, cause: error });
+    }
+    if (isAbortError(error)) throw error;
+    throw new NetworkError(`${endpoint} could not be reached: ${error.message}`, { endpoint, cause: error });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", abortFromCaller);
+  }
+
+  // A 403 is a refusal for this account, which a new login won't change
+  if (response.status === 401) {
+    throw new AuthExpiredError(response.status, undefined, { endpoint });
+  }
+  if (!response.ok) {
+    throw new HttpError(response.status, `${endpoint} returned ${response.status}`, {
+      endpoint,
+      retryAfterMs: parseRetryAfter(response.headers.get("Retry-After")),
+    });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new MalformedPayloadError(`${endpoint} did not return JSON`, { endpoint, cause: error });
+  }
+
+  const problem = validate ? validate(data) : null;
+  if (problem) {
+    throw new MalformedPayloadError(`${endpoint}: ${problem}`, { endpoint });
+  }
+  return data;
+};
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// ── Endpoints ──
+
+// Resolves with { valid, newToken }. An invalid session rejects with
+// AuthExpiredError, the same as a 401.
+export const verifySession = async ({ accessToken, refreshToken }, { signal } = {}) => {
+  const data = await apiRequest("verify_session.php", {
+    method: "POST",
+    body: { accessToken, refreshToken },
+    credentials: true,
+    signal,
+    validate: (body) => (isObject(body) && typeof body.valid === "boolean" ? null : "missing \"valid\" flag"),
+  });
+  if (!data.valid) {
+    throw new AuthExpiredError(200, undefined, { endpoint: "verify_session.php" });
+  }
+  return { valid: true, newToken: data.newToken || null };
+};
+
+const validateBatch = (body) => {
+  if (!isObject(body) || !isObject(body.data)) return "missing \"data\"";
+  const { messages } = body.data;
+  if (messages === undefined || messages === null) return null;
+  if (!Array.isArray(messages)) return "\"messages\" is not a list";
+  const badIndex = messages.findIndex((msg) => !isObject(msg) || !msg.kc_id || typeof msg.body !== "string");
+  return badIndex === -1 ? null : `message ${badIndex} has no kc_id or body`;
+};
+
+// Resolves with one page of the batch ({ messages, next_cursor, total, ... }).
+// Without a cursor this is the first page, or the whole list from servers
+// that don't page. A first page without recipients rejects with
+// EmptyBatchError; later pages may be empty.
+export const getDispatchBatch = async (dmsg_id, { signal, cursor, limit } = {}) => {
+  const { data } = await apiRequest("getDispatchBatch.php", {
+    query: { dmsg_id, cursor, limit },
+    auth: true,
+    credentials: true,
+    signal,
+    validate: validateBatch,
+  });
+  if (!cursor && !data.messages?.length) {
+    throw new EmptyBatchError(undefined, { endpoint: "getDispatchBatch.php" });
+  }
+  return { ...data, messages: data.messages || [], next_cursor: data.next_cursor || null };
+};
+
+// Reports progress for a dispatch. status is 1 (incomplete) or 2 (done).
+export const updateDispatchCount = async ({ dmsg_id, dispatch_count, attempts, status }, { signal } = {}) => {
+  const data = await apiRequest("updateDispatchCount.php", {
+    method: "POST",
+    body: { dmsg_id, dispatch_count, attempts, status },
+    auth: true,
+    credentials: true,
+    signal,
+    validate: (body) => (isObject(body) ? null : "expected an object"),
+  });
+  if (!data.success) {
+    throw new ApiError(data.error || "Failed to update status", { endpoint: "updateDispatchCount.php" });
+  }
+  return data;
+};
@@ -0,0 +1,121 @@
+import { apiRequest, getDispatchBatch, updateDispatchCount, verifySession } from './apiClient';
+import {
+  ApiError,
+  AuthExpiredError,
+  EmptyBatchError,
+  HttpError,
+  MalformedPayloadError,
+  NetworkError,
+} from './apiErrors';
+import { clearSession, setSession } from './sessionStore';
+
+const respond = (status, body, headers = {}) => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] || null },
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+  });
+};
+
+beforeEach(() => {
+  clearSession();
+});
+
+test('sends the session token and includes credentials', async () => {
+  setSession({ accessToken: 'access', refreshToken: 'refresh', expiresIn: 3600, timestamp: Date.now() });
+  respond(200, { success: true });
+
+  await updateDispatchCount({ dmsg_id: '7', dispatch_count: 2, attempts: 2, status: 2 });
+
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toMatch(/\/updateDispatchCount\.php$/);
+  expect(init.credentials).toBe('include');
+  expect(init.headers.Authorization).toBe('Bearer access');
+  expect(JSON.parse(init.body)).toEqual({ dmsg_id: '7', dispatch_count: 2, attempts: 2, status: 2 });
+});
+
+test('sends neither the token nor cookies unless the endpoint asks', async () => {
+  setSession({ accessToken: 'access', refreshToken: 'refresh', expiresIn: 3600, timestamp: Date.now() });
+  respond(200, {});
+
+  await apiRequest('x.php');
+
+  const [, init] = global.fetch.mock.calls[0];
+  expect(init.credentials).toBe('same-origin');
+  expect(init.headers).not.toHaveProperty('Authorization');
+});
+
+test('maps failures to typed errors', async () => {
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  await expect(apiRequest('x.php')).rejects.toBeInstanceOf(NetworkError);
+
+  respond(401, '');
+  await expect(apiRequest('x.php')).rejects.toBeInstanceOf(AuthExpiredError);
+
+  respond(403, '');
+  const forbidden = apiRequest('x.php');
+  await expect(forbidden).rejects.toMatchObject({ name: 'HttpError', status: 403 });
+  await expect(forbidden).rejects.not.toBeInstanceOf(AuthExpiredError);
+
+  respond(503, 'busy', { 'Retry-After': '5' });
+  await expect(apiRequest('x.php')).rejects.toMatchObject({ name: 'HttpError', status: 503, retryAfterMs: 5000 });
+
+  respond(200, '<html>oops</html>');
+  await expect(apiRequest('x.php')).rejects.toBeInstanceOf(MalformedPayloadError);
+
+  respond(200, { success: false, error: 'locked' });
+  await expect(updateDispatchCount({ dmsg_id: '7' })).rejects.toEqual(new ApiError('locked'));
+});
+
+test('times out slow requests', async () => {
+  jest.useFakeTimers();
+  global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+
+  const request = apiRequest('x.php', { timeoutMs: 1000 });
+  jest.advanceTimersByTime(1000);
+  await expect(request).rejects.toMatchObject({ name: 'NetworkError', timedOut: true });
+  jest.useRealTimers();
+});
+
+test('passes caller aborts through untouched', async () => {
+  global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  }));
+  const controller = new AbortController();
+
+  const request = apiRequest('x.php', { signal: controller.signal });
+  controller.abort();
+  await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+});
+
+test('validates the dispatch batch', async () => {
+  respond(200, { data: { messages: [{ kc_id: 'a', body: 'hi' }] } });
+  await expect(getDispatchBatch('7')).resolves.toEqual({ messages: [{ kc_id: 'a', body: 'hi' }], next_cursor: null });
+  expect(global.fetch.mock.calls[0][0]).toMatch(/getDispatchBatch\.php\?dmsg_id=7$/);
+
+  respond(200, { data: { messages: [] } });
+  await expect(getDispatchBatch('7')).rejects.toBeInstanceOf(EmptyBatchError);
+
+  respond(200, { data: { messages: [{ body: 'no recipient' }] } });
+  await expect(getDispatchBatch('7')).rejects.toBeInstanceOf(MalformedPayloadError);
+});
+
+test('requests later pages by cursor and allows them to be empty', async () => {
+  respond(200, { data: { messages: [], next_cursor: null } });
+
+  await expect(getDispatchBatch('7', { cursor: 'c2', limit: 500 })).resolves.toEqual({ messages: [], next_cursor: null });
+  expect(global.fetch.mock.calls[0][0]).toMatch(/getDispatchBatch\.php\?dmsg_id=7&cursor=c2&limit=500$/);
+});
+
+test('treats an invalid session as expired', async () => {
+  respond(200, { valid: false });
+  await expect(verifySession({ accessToken: 'a' })).rejects.toBeInstanceOf(AuthExpiredError);
+
+  respond(200, { valid: true, newToken: 'fresh' });
+  await expect(verifySession({ accessToken: 'a' })).resolves.toEqual({ valid: true, newToken: 'fresh' });
+
+  expect(new AuthExpiredError(401)).toBeInstanceOf(HttpError);
+});
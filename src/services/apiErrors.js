@@ -0,0 +1,72 @@
+// src/services/apiErrors.js
+// Error types thrown by the kingslist.pro API client, so callers can tell a
+// dropped connection from an expired login or a bad response.
+
+export class ApiError extends Error {
+  constructor(message, { endpoint, cause } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.endpoint = endpoint;
+    if (cause) this.cause = cause;
+  }
+}
+
+// The request never got an answer: offline, DNS, CORS or our own timeout.
+export class NetworkError extends ApiError {
+  constructor(message, { timedOut = false, ...rest } = {}) {
+    super(message, rest);
+    this.name = "NetworkError";
+    this.timedOut = timedOut;
+  }
+}
+
+// The server answered with a non-2xx status.
+export class HttpError extends ApiError {
+  constructor(status, message, { retryAfterMs = null, ...rest } = {}) {
+    super(message || `Request failed with status ${status}`, rest);
+    this.name = "HttpError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// 401, or the server saying the session is no longer valid.
+export class AuthExpiredError extends HttpError {
+  constructor(status, message, rest) {
+    super(status, message || "Your session has expired. Please log in again.", rest);
+    this.name = "AuthExpiredError";
+  }
+}
+
+// The body was not JSON or did not have the expected shape.
+export class MalformedPayloadError extends ApiError {
+  constructor(message, rest) {
+    super(message, rest);
+    this.name = "MalformedPayloadError";
+  }
+}
+
+// getDispatchBatch answered correctly but with no recipients.
+export class EmptyBatchError extends ApiError {
+  constructor(message = "No messages available in this batch", rest) {
+    super(message, rest);
+    this.name = "EmptyBatchError";
+  }
+}
+
+export const isAbortError = (error) => error?.name === "AbortError";
+
+// Short message for the UI.
+export const describeApiError = (error) => {
+  if (error instanceof AuthExpiredError) return "Your session has expired. Please log in again.";
+  if (error instanceof EmptyBatchError) return "This batch has no messages to send.";
+  if (error instanceof NetworkError) {
+    return error.timedOut
+      ? "The server took too long to respond. Please try again."
+      : "Could not reach the server. Check your connection and try again.";
+  }
+  if (error instanceof HttpError && error.status === 403) return "This account is not allowed to do that.";
+  if (error instanceof HttpError) return `The server returned an error (${error.status}). Please try again later.`;
+  if (error instanceof MalformedPayloadError) return "The server sent an unexpected response.";
+  return error?.message || "Something went wrong.";
+};
@@ -0,0 +1,274 @@
+// src/services/bridge.js
+// Versioned message protocol between this page and the Flutter WebView host.
+//
+// Every message is an envelope: { v, type, id, ts, payload }. The native side
+// acknowledges a message by calling
+//   window.KingsListWeb.receive({ v: 1, type: "ack", replyTo: "<id>" })
+// through runJavaScript, and sends commands the same way through
+//   window.KingsListWeb.handle({ v: 1, type: "auth.logout", id: "<id>" })
+// which are answered with a "response" envelope carrying replyTo: "<id>".
+// See FLUTTER_SETUP.md for the full contract.
+
+export const BRIDGE_PROTOCOL_VERSION = 1;
+
+export const MessageType = {
+  AUTH_SUCCESS: "auth.success",
+  AUTH_RESTORE: "auth.restore",
+  AUTH_REFRESH: "auth.refresh",
+  AUTH_LOGOUT: "auth.logout",
+  AUTH_EXPIRED: "auth.expired",
+  DISPATCH_WAKE: "dispatch.wake",
+  ACK: "ack",
+  RESPONSE: "response",
+};
+
+// Commands the native side can send through window.KingsListWeb.handle.
+export const CommandType = {
+  LOGIN: "auth.login",
+  LOGOUT: "auth.logout",
+  REFRESH: "auth.refresh",
+  DISPATCH_START: "dispatch.start",
+  DISPATCH_QUEUE: "dispatch.queue",
+  STATUS: "status",
+  SET_SESSION: "auth.session",
+  SET_CONFIG: "config.set",
+};
+
+// Messages whose payload is the token object app builds before the envelope
+// protocol read straight off the posted JSON.
+const LEGACY_AUTH_TYPES = [MessageType.AUTH_SUCCESS, MessageType.AUTH_RESTORE, MessageType.AUTH_REFRESH];
+
+// Order matters: the first channel found is the one used.
+const CHANNELS = ["KingsListBridge", "KingsListAuth", "FlutterChannel"];
+
+const DEFAULT_ACK_TIMEOUT_MS = 5000;
+
+const settings = {
+  // Expose the latest auth payload on window.authData for hosts that poll
+  // instead of listening on a channel. Off by default: any script on the page
+  // can read it.
+  pollingFallback: false,
+};
+
+const pendingAcks = new Map();
+const ackListeners = new Set();
+const commandHandlers = new Map();
+let messageCounter = 0;
+
+const findChannel = () => {
+  for (const ch of CHANNELS) {
+    try {
+      if (window[ch] && typeof window[ch].postMessage === "function") {
+        return ch;
+      }
+    } catch (e) {}
+  }
+  return null;
+};
+
+export const configureBridge = ({ pollingFallback } = {}) => {
+  if (pollingFallback !== undefined) settings.pollingFallback = !!pollingFallback;
+  if (!settings.pollingFallback) window.authData = null;
+};
+
+export const hasChannel = () => findChannel() !== null;
+
+// Detect if running inside Flutter WebView
+export const isInWebView = () => CHANNELS.some((ch) => !!window[ch]);
+
+export const createMessageId = () => {
+  if (window.crypto && typeof window.crypto.randomUUID === "function") {
+    return window.crypto.randomUUID();
+  }
+  messageCounter++;
+  return `${Date.now().toString(36)}-${messageCounter.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// Auth envelopes also carry the token fields at the top level, where app
+// builds from before the envelope protocol look for them. Deprecated: drop
+// once those builds are out of use (see FLUTTER_SETUP.md).
+export const createEnvelope = (type, payload = {}, extra = {}) => ({
+  ...(LEGACY_AUTH_TYPES.includes(type) ? payload : {}),
+  v: BRIDGE_PROTOCOL_VERSION,
+  type,
+  id: createMessageId(),
+  ts: Date.now(),
+  ...extra,
+  payload,
+});
+
+// Posts an envelope over the first available channel. Returns the channel
+// name, or null when nothing could take the message.
+export const postEnvelope = (envelope) => {
+  const ch = findChannel();
+  if (ch) {
+    try {
+      window[ch].postMessage(JSON.stringify(envelope));
+      console.log(`[bridge] Sent ${envelope.type} (${envelope.id}) via ${ch}`);
+      return ch;
+    } catch (e) {
+      console.warn(`[bridge] ${ch} failed:`, e);
+    }
+  }
+
+  // Older app builds inject sendAuthToFlutter instead of a channel and expect
+  // the bare token object.
+  try {
+    if (envelope.type === MessageType.AUTH_SUCCESS && window.sendAuthToFlutter) {
+      if (window.sendAuthToFlutter(envelope.payload)) {
+        console.log(`[bridge] Sent ${envelope.type} (${envelope.id}) via sendAuthToFlutter`);
+        return "sendAuthToFlutter";
+      }
+    }
+  } catch (e) {}
+
+  return null;
+};
+
+// Calls listener(ackEnvelope) for every ack. Returns an unsubscribe function.
+export const onAck = (listener) => {
+  ackListeners.add(listener);
+  return () => ackListeners.delete(listener);
+};
+
+// Resolves with the ack envelope when the native side acks the message id,
+// false on timeout.
+export const waitForAck = (id, timeoutMs = DEFAULT_ACK_TIMEOUT_MS) => {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      pendingAcks.delete(id);
+      resolve(false);
+    }, timeoutMs);
+    pendingAcks.set(id, (ack) => {
+      clearTimeout(timer);
+      resolve(ack);
+    });
+  });
+};
+
+// Token payload shared by the auth.* messages. expiresIn goes out in
+// milliseconds, which is what app builds already in the field parse.
+export const buildAuthPayload = ({ accessToken, refreshToken, expiresIn, timestamp, profile }) => ({
+  accessToken,
+  refreshToken: refreshToken || "",
+  expiresIn: (expiresIn || 3600) * 1000,
+  timestamp: timestamp || Date.now(),
+  profile: profile || null,
+});
+
+// Puts an auth envelope's payload on window.authData when the polling
+// fallback is enabled, and takes it down again once the envelope is acked.
+export const exposeForPolling = (envelope) => {
+  if (!settings.pollingFallback) return;
+  window.authData = envelope.payload;
+  const stop = onAck((ack) => {
+    if (ack.replyTo !== envelope.id) return;
+    if (window.authData === envelope.payload) window.authData = null;
+    stop();
+  });
+};
+
+export const sendToNative = (type, payload, extra) => {
+  const envelope = createEnvelope(type, payload, extra);
+  const channel = postEnvelope(envelope);
+  return { envelope, delivered: channel !== null };
+};
+
+const parseIncoming = (message) => {
+  if (typeof message === "string") {
+    try {
+      return JSON.parse(message);
+    } catch (e) {
+      console.warn("[bridge] Ignoring malformed message from native:", message);
+      return null;
+    }
+  }
+  return message;
+};
+
+// Entry point for everything the native side pushes into the page.
+export const receiveFromNative = (message) => {
+  const envelope = parseIncoming(message);
+  if (!envelope || typeof envelope !== "object") return false;
+
+  if (envelope.v !== BRIDGE_PROTOCOL_VERSION) {
+    console.warn(`[bridge] Unsupported protocol version ${envelope.v}`);
+    return false;
+  }
+
+  if (envelope.type === MessageType.ACK) {
+    const resolve = pendingAcks.get(envelope.replyTo);
+    pendingAcks.delete(envelope.replyTo);
+    if (resolve) resolve(envelope);
+    ackListeners.forEach((listener) => {
+      try {
+        listener(envelope);
+      } catch (e) {
+        console.warn("[bridge] Ack listener failed:", e);
+      }
+    });
+    return true;
+  }
+
+  console.warn(`[bridge] Unhandled message type ${envelope.type}`);
+  return false;
+};
+
+// Registers the page-side handler for a native command. Returns a function
+// that removes it again; only the most recent registration is kept.
+export const registerCommand = (type, handler) => {
+  if (commandHandlers.has(type)) {
+    console.warn(`[bridge] Replacing handler for ${type}`);
+  }
+  commandHandlers.set(type, handler);
+  return () => {
+    if (commandHandlers.get(type) === handler) {
+      commandHandlers.delete(type);
+    }
+  };
+};
+
+const respond = (replyTo, payload) => sendToNative(MessageType.RESPONSE, payload, { replyTo });
+
+// Runs a native command and posts the correlated response. Also returns the
+// response payload so callers of runJavaScript can read it directly.
+export const handleCommand = async (message) => {
+  const command = parseIncoming(message);
+  if (!command || typeof command !== "object") return null;
+
+  const replyTo = command.id || null;
+
+  if (command.v !== BRIDGE_PROTOCOL_VERSION) {
+    const payload = { ok: false, error: `Unsupported protocol version ${command.v}` };
+    respond(replyTo, payload);
+    return payload;
+  }
+
+  const handler = commandHandlers.get(command.type);
+  if (!handler) {
+    const payload = { ok: false, error: `Unknown command ${command.type}` };
+    respond(replyTo, payload);
+    return payload;
+  }
+
+  let payload;
+  try {
+    console.log(`[bridge] Handling command ${command.type} (${replyTo})`);
+    const result = await handler(command.payload || {});
+    payload = { ok: true, result: result === undefined ? null : result };
+  } catch (error) {
+    console.error(`[bridge] Command ${command.type} failed:`, error);
+    payload = { ok: false, error: error.message || "Unknown error" };
+  }
+  respond(replyTo, payload);
+  return payload;
+};
+
+export const installBridge = () => {
+  window.KingsListWeb = {
+    ...(window.KingsListWeb || {}),
+    protocolVersion: BRIDGE_PROTOCOL_VERSION,
+    receive: receiveFromNative,
+    handle: handleCommand,
+  };
+};
@@ -0,0 +1,78 @@
+import {
+  BRIDGE_PROTOCOL_VERSION,
+  CommandType,
+  MessageType,
+  installBridge,
+  registerCommand,
+  sendToNative,
+  waitForAck,
+} from './bridge';
+
+afterEach(() => {
+  delete window.KingsListBridge;
+  delete window.KingsListWeb;
+});
+
+test('wraps messages in a versioned envelope', () => {
+  const postMessage = jest.fn();
+  window.KingsListBridge = { postMessage };
+
+  const { envelope, delivered } = sendToNative(MessageType.AUTH_SUCCESS, { accessToken: 'abc' });
+
+  expect(delivered).toBe(true);
+  const sent = JSON.parse(postMessage.mock.calls[0][0]);
+  expect(sent).toEqual({
+    v: BRIDGE_PROTOCOL_VERSION,
+    type: 'auth.success',
+    id: envelope.id,
+    ts: expect.any(Number),
+    payload: { accessToken: 'abc' },
+    // For app builds that read the bare token object
+    accessToken: 'abc',
+  });
+});
+
+test('only repeats token payloads at the top level', () => {
+  const postMessage = jest.fn();
+  window.KingsListBridge = { postMessage };
+
+  sendToNative(MessageType.DISPATCH_WAKE, { dmsgId: '42', wakeAt: 1 });
+  sendToNative(MessageType.AUTH_REFRESH, { accessToken: 'abc' });
+
+  const [wake, refresh] = postMessage.mock.calls.map(([json]) => JSON.parse(json));
+  expect(wake).not.toHaveProperty('dmsgId');
+  expect(refresh).toMatchObject({ type: 'auth.refresh', accessToken: 'abc', payload: { accessToken: 'abc' } });
+});
+
+test('reports undelivered when no channel is injected', () => {
+  expect(sendToNative(MessageType.AUTH_LOGOUT, {}).delivered).toBe(false);
+});
+
+test('resolves waitForAck when the native side acks the id', async () => {
+  installBridge();
+  const pending = waitForAck('msg-1', 1000);
+
+  window.KingsListWeb.receive(JSON.stringify({ v: 1, type: 'ack', replyTo: 'msg-1' }));
+
+  await expect(pending).resolves.toMatchObject({ replyTo: 'msg-1' });
+});
+
+test('routes native commands to registered handlers and replies with replyTo', async () => {
+  const postMessage = jest.fn();
+  window.KingsListBridge = { postMessage };
+  installBridge();
+  const unregister = registerCommand(CommandType.STATUS, async () => ({ loggedIn: true }));
+
+  const response = await window.KingsListWeb.handle({ v: 1, type: 'status', id: 'cmd-1' });
+
+  expect(response).toEqual({ ok: true, result: { loggedIn: true } });
+  const sent = JSON.parse(postMessage.mock.calls[0][0]);
+  expect(sent).toMatchObject({ type: 'response', replyTo: 'cmd-1', payload: response });
+  unregister();
+});
+
+test('answers unknown commands with an error response', async () => {
+  installBridge();
+  const response = await window.KingsListWeb.handle({ v: 1, type: 'nope', id: 'cmd-2' });
+  expect(response).toEqual({ ok: false, error: 'Unknown command nope' });
+});
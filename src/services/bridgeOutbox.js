@@ -0,0 +1,156 @@
+// src/services/bridgeOutbox.js
+// Persistent outbox for bridge messages that must reach the native side.
+//
+// Queued envelopes live in localStorage (or only in memory, see
+// configureOutbox) until the native side acks their id. Envelopes carrying
+// tokens are only ever kept in memory; the page sends auth.restore on the
+// next load instead.
+// They are re-posted when a channel shows up, when the page becomes visible
+// again and on the next page load, and are dropped once their TTL runs out.
+import { createEnvelope, hasChannel, onAck, postEnvelope } from "./bridge";
+
+const OUTBOX_KEY = "kl_bridge_outbox";
+const CHANNEL_POLL_MS = 500;
+
+const settings = {
+  ttlMs: 60 * 60 * 1000,
+  // Off when the session store keeps nothing on this device
+  persist: true,
+};
+
+// Entries not written to localStorage
+let memoryEntries = [];
+
+const carriesTokens = (entry) => {
+  const payload = entry.envelope.payload || {};
+  return !!(payload.accessToken || payload.refreshToken);
+};
+
+const readStored = () => {
+  if (!settings.persist) return [];
+  try {
+    const stored = JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.warn("[outbox] Discarding unreadable outbox:", e);
+    return [];
+  }
+};
+
+const readEntries = () => [...readStored(), ...memoryEntries.map((entry) => ({ ...entry }))]
+  .sort((a, b) => a.envelope.ts - b.envelope.ts);
+
+const writeEntries = (entries) => {
+  const stored = settings.persist ? entries.filter((entry) => !carriesTokens(entry)) : [];
+  memoryEntries = entries.filter((entry) => !stored.includes(entry));
+  if (!settings.persist) return;
+  try {
+    if (stored.length) {
+      localStorage.setItem(OUTBOX_KEY, JSON.stringify(stored));
+    } else {
+      localStorage.removeItem(OUTBOX_KEY);
+    }
+  } catch (e) {
+    console.warn("[outbox] localStorage.setItem failed:", e);
+  }
+};
+
+const pruneExpired = (entries, now = Date.now()) => {
+  const live = entries.filter((entry) => entry.expiresAt > now);
+  if (live.length !== entries.length) {
+    console.log(`[outbox] Dropped ${entries.length - live.length} expired message(s)`);
+  }
+  return live;
+};
+
+export const configureOutbox = ({ ttlMs, persist } = {}) => {
+  if (ttlMs !== undefined) settings.ttlMs = ttlMs;
+  if (persist !== undefined && persist !== settings.persist) {
+    const entries = readEntries();
+    settings.persist = !!persist;
+    if (!settings.persist) localStorage.removeItem(OUTBOX_KEY);
+    writeEntries(entries);
+  }
+};
+
+export const getPendingMessages = () => pruneExpired(readEntries()).map((entry) => entry.envelope);
+
+const postEntry = (entry, now) => {
+  if (!postEnvelope(entry.envelope)) return false;
+  entry.attempts = (entry.attempts || 0) + 1;
+  entry.lastSentAt = now;
+  return true;
+};
+
+// Re-posts every unacked, unexpired message. Returns how many went out.
+export const flushOutbox = () => {
+  const entries = pruneExpired(readEntries());
+  let sent = 0;
+  const now = Date.now();
+  for (const entry of entries) {
+    if (postEntry(entry, now)) sent++;
+  }
+  writeEntries(entries);
+  return sent;
+};
+
+// Queues a message and tries to post it straight away. Messages sharing a
+// collapseKey replace each other, so only the newest one is ever replayed
+// (a stale login must not arrive after a logout).
+export const enqueue = (type, payload, { collapseKey, ttlMs = settings.ttlMs } = {}) => {
+  const envelope = createEnvelope(type, payload);
+  const entries = pruneExpired(readEntries()).filter(
+    (entry) => !collapseKey || entry.collapseKey !== collapseKey
+  );
+  const entry = {
+    envelope,
+    collapseKey: collapseKey || null,
+    expiresAt: Date.now() + ttlMs,
+    attempts: 0,
+    lastSentAt: null,
+  };
+  entries.push(entry);
+  // Older entries were either posted already or are waiting for a channel,
+  // which flushOutbox() replays when it appears
+  postEntry(entry, Date.now());
+  writeEntries(entries);
+  return envelope;
+};
+
+export const removeFromOutbox = (id) => {
+  const entries = readEntries();
+  const remaining = entries.filter((entry) => entry.envelope.id !== id);
+  if (remaining.length !== entries.length) {
+    writeEntries(remaining);
+    console.log(`[outbox] ${id} acknowledged`);
+  }
+};
+
+// Wires the outbox to acks, visibility changes and late channel injection.
+// Returns a function that stops all of it.
+export const startOutbox = () => {
+  const stopAcks = onAck((ack) => removeFromOutbox(ack.replyTo));
+
+  const handleVisibility = () => {
+    if (document.visibilityState === "visible") flushOutbox();
+  };
+  document.addEventListener("visibilitychange", handleVisibility);
+
+  // Channels can be injected after the page has loaded; watch for the first
+  // one and replay whatever is queued as soon as it appears.
+  let channelTimer = null;
+  const watchForChannel = () => {
+    if (hasChannel()) {
+      flushOutbox();
+      return;
+    }
+    channelTimer = setTimeout(watchForChannel, CHANNEL_POLL_MS);
+  };
+  watchForChannel();
+
+  return () => {
+    stopAcks();
+    document.removeEventListener("visibilitychange", handleVisibility);
+    clearTimeout(channelTimer);
+  };
+};
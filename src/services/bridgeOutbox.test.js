@@ -0,0 +1,67 @@
+import { installBridge } from './bridge';
+import { enqueue, flushOutbox, getPendingMessages, removeFromOutbox, startOutbox } from './bridgeOutbox';
+
+let stopOutbox;
+
+beforeEach(() => {
+  localStorage.clear();
+  installBridge();
+  stopOutbox = startOutbox();
+});
+
+afterEach(() => {
+  stopOutbox();
+  // Messages with tokens stay in memory across tests otherwise
+  getPendingMessages().forEach((envelope) => removeFromOutbox(envelope.id));
+  delete window.KingsListBridge;
+});
+
+test('keeps a message queued until the native side acks it', () => {
+  const postMessage = jest.fn();
+  window.KingsListBridge = { postMessage };
+
+  const envelope = enqueue('auth.success', { accessToken: 'abc' });
+  expect(postMessage).toHaveBeenCalledTimes(1);
+  expect(getPendingMessages()).toHaveLength(1);
+
+  window.KingsListWeb.receive({ v: 1, type: 'ack', replyTo: envelope.id });
+  expect(getPendingMessages()).toHaveLength(0);
+});
+
+test('replays the same envelope once a channel is injected', () => {
+  const envelope = enqueue('auth.success', { accessToken: 'abc' });
+
+  const postMessage = jest.fn();
+  window.KingsListBridge = { postMessage };
+  expect(flushOutbox()).toBe(1);
+  expect(JSON.parse(postMessage.mock.calls[0][0]).id).toBe(envelope.id);
+});
+
+test('posts only the new message when queueing another', () => {
+  const postMessage = jest.fn();
+  window.KingsListBridge = { postMessage };
+
+  const first = enqueue('dispatch.wake', { dmsgId: '1' });
+  const second = enqueue('dispatch.wake', { dmsgId: '2' });
+
+  expect(postMessage.mock.calls.map(([json]) => JSON.parse(json).id)).toEqual([first.id, second.id]);
+  expect(getPendingMessages()).toHaveLength(2);
+});
+
+test('keeps messages with tokens out of localStorage', () => {
+  enqueue('auth.success', { accessToken: 'secret-access', refreshToken: 'secret-refresh' }, { collapseKey: 'auth' });
+  enqueue('dispatch.wake', { dmsgId: '1' });
+
+  const stored = localStorage.getItem('kl_bridge_outbox');
+  expect(stored).not.toContain('secret');
+  expect(JSON.parse(stored).map((entry) => entry.envelope.type)).toEqual(['dispatch.wake']);
+  expect(getPendingMessages().map((m) => m.type).sort()).toEqual(['auth.success', 'dispatch.wake']);
+});
+
+test('collapses messages sharing a key and drops expired ones', () => {
+  enqueue('auth.success', { accessToken: 'old' }, { collapseKey: 'auth' });
+  enqueue('auth.logout', {}, { collapseKey: 'auth' });
+  enqueue('dispatch.done', {}, { ttlMs: -1 });
+
+  expect(getPendingMessages().map((m) => m.type)).toEqual(['auth.logout']);
+});
@@ -0,0 +1,225 @@
+// src/services/config.js
+// Runtime configuration, so one build can talk to production, staging, a dev
+// server or a local mock.
+//
+// Later sources win:
+//   1. DEFAULT_CONFIG below
+//   2. build-time REACT_APP_* variables
+//   3. /config.json fetched at boot (may hold named "environments")
+//   4. the environment picked with REACT_APP_ENV, ?env=<name> or the bridge
+//   5. overrides from the Flutter host (window.KingsListConfig before load,
+//      or the config.set command) and, where allowed, ?config.<key>=<value>
+//
+// Host and query overrides are kept in sessionStorage so they survive the
+// redirect login round trip. They can't set BUILD_ONLY_KEYS, and after boot
+// config.set can't change BOOT_ONLY_KEYS either.
+
+export const DEFAULT_CONFIG = {
+  clientId: "5d61e98b-7f02-4ea6-ac7a-9b193f2e425d",
+  apiBaseUrl: "https://kingslist.pro/app/default/api",
+  loginCallbackUrl: "https://kingslist.pro/callback",
+  messagesPageUrl: "https://kingslist.pro/messages",
+  kingschatApiUrl: "https://connect.kingsch.at",
+  kingschatAccountsUrl: "https://accounts.kingsch.at",
+  // Passed to kingschat-web-sdk: "prod", "staging" or "dev"
+  kingschatEnvironment: "prod",
+  // "local", "encrypted" or "memory" — see sessionBackends.js
+  sessionStorage: "local",
+  authPolling: false,
+  outboxTtlMs: 60 * 60 * 1000,
+  // Per-request timeout for the kingslist.pro API
+  apiTimeoutMs: 15000,
+  // Default parallel sends per dispatch; users can change it per account
+  dispatchConcurrency: 1,
+  // Query string overrides can point the app at another server, so they are
+  // only honoured outside production builds unless the build or config.json
+  // allows them.
+  allowQueryOverrides: process.env.NODE_ENV !== "production",
+};
+
+// Only the build and config.json decide these, never the host or the URL
+const BUILD_ONLY_KEYS = ["allowQueryOverrides"];
+// Read once at boot (session store, outbox and bridge setup in index.js)
+const BOOT_ONLY_KEYS = ["sessionStorage", "authPolling", "outboxTtlMs"];
+
+const CONFIG_URL = "/config.json";
+const CONFIG_FETCH_TIMEOUT_MS = 3000;
+const OVERRIDES_KEY = "kl_config_overrides";
+const QUERY_PREFIX = "config.";
+
+const ENV_VARS = {
+  clientId: "REACT_APP_KC_CLIENT_ID",
+  apiBaseUrl: "REACT_APP_API_BASE_URL",
+  loginCallbackUrl: "REACT_APP_LOGIN_CALLBACK_URL",
+  messagesPageUrl: "REACT_APP_MESSAGES_PAGE_URL",
+  kingschatApiUrl: "REACT_APP_KC_API_URL",
+  kingschatAccountsUrl: "REACT_APP_KC_ACCOUNTS_URL",
+  kingschatEnvironment: "REACT_APP_KC_ENVIRONMENT",
+  sessionStorage: "REACT_APP_SESSION_STORAGE",
+  authPolling: "REACT_APP_AUTH_POLLING",
+  outboxTtlMs: "REACT_APP_OUTBOX_TTL_MS",
+  apiTimeoutMs: "REACT_APP_API_TIMEOUT_MS",
+  dispatchConcurrency: "REACT_APP_DISPATCH_CONCURRENCY",
+  allowQueryOverrides: "REACT_APP_ALLOW_QUERY_OVERRIDES",
+};
+
+const listeners = new Set();
+let fileConfig = {};
+let current = { ...DEFAULT_CONFIG };
+let booted = false;
+
+// Coerces a string from an env var or query string to the type of the
+// default value.
+const coerce = (key, value) => {
+  if (typeof value !== "string") return value;
+  const fallback = DEFAULT_CONFIG[key];
+  if (typeof fallback === "boolean") return value === "true" || value === "1";
+  if (typeof fallback === "number") return Number(value);
+  return value;
+};
+
+const pickKnown = (source) => {
+  const picked = {};
+  Object.keys(source || {}).forEach((key) => {
+    if (key in DEFAULT_CONFIG && source[key] !== undefined && source[key] !== "") {
+      picked[key] = coerce(key, source[key]);
+    }
+  });
+  return picked;
+};
+
+const pickOverrides = (source) => {
+  const picked = pickKnown(source);
+  BUILD_ONLY_KEYS.forEach((key) => {
+    if (key in picked) console.warn(`[config] Ignoring override of ${key}`);
+    delete picked[key];
+  });
+  return picked;
+};
+
+const readEnvConfig = () => {
+  const values = {};
+  Object.entries(ENV_VARS).forEach(([key, name]) => {
+    values[key] = process.env[name];
+  });
+  return pickKnown(values);
+};
+
+const readStoredOverrides = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(OVERRIDES_KEY) || "{}");
+  } catch (e) {
+    return {};
+  }
+};
+
+const writeStoredOverrides = (overrides) => {
+  try {
+    sessionStorage.setItem(OVERRIDES_KEY, JSON.stringify(overrides));
+  } catch (e) {
+    console.warn("[config] Could not persist overrides:", e);
+  }
+};
+
+const resolve = () => {
+  const base = { ...DEFAULT_CONFIG, ...readEnvConfig(), ...pickKnown(fileConfig) };
+  const stored = readStoredOverrides();
+  const envName = stored.env || process.env.REACT_APP_ENV;
+  const environments = fileConfig.environments || {};
+
+  if (envName && !environments[envName]) {
+    console.warn(`[config] Unknown environment "${envName}", using defaults`);
+  }
+
+  return {
+    ...base,
+    ...pickKnown(environments[envName]),
+    ...pickOverrides(stored.values),
+    env: envName || "default",
+  };
+};
+
+const notify = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener(current);
+    } catch (e) {
+      console.warn("[config] Listener failed:", e);
+    }
+  });
+};
+
+export const getConfig = () => current;
+
+// Calls listener(config) whenever overrides change it at runtime.
+export const subscribeConfig = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const mergeOverrides = ({ env, ...values }) => {
+  const stored = readStoredOverrides();
+  writeStoredOverrides({
+    env: env || stored.env,
+    values: { ...(stored.values || {}), ...pickOverrides(values) },
+  });
+  current = resolve();
+  notify();
+  return current;
+};
+
+// Merges overrides from the Flutter host ({ env, ...keys }) and re-resolves.
+// Throws once booted if they touch a setting only read at boot.
+export const setConfigOverrides = (overrides = {}) => {
+  const late = booted ? BOOT_ONLY_KEYS.filter((key) => key in overrides) : [];
+  if (late.length) {
+    throw new Error(`${late.join(", ")} can only be set before the page loads (window.KingsListConfig)`);
+  }
+  return mergeOverrides(overrides);
+};
+
+const readQueryOverrides = (search, allowValues) => {
+  const params = new URLSearchParams(search);
+  const values = {};
+  if (allowValues) {
+    params.forEach((value, name) => {
+      if (name.startsWith(QUERY_PREFIX)) values[name.slice(QUERY_PREFIX.length)] = value;
+    });
+  }
+  return { env: params.get("env") || undefined, values };
+};
+
+const fetchConfigFile = async () => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONFIG_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(CONFIG_URL, { cache: "no-store", signal: controller.signal });
+    if (!response.ok) return {};
+    const data = await response.json();
+    return data && typeof data === "object" ? data : {};
+  } catch (e) {
+    // No config.json (or the dev server answered with index.html): defaults.
+    return {};
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Resolves the configuration at boot. Call once before rendering.
+export const loadConfig = async ({ search = window.location.search } = {}) => {
+  booted = false;
+  fileConfig = await fetchConfigFile();
+  current = resolve();
+
+  const query = readQueryOverrides(search, current.allowQueryOverrides);
+  if (query.env || Object.keys(query.values).length) {
+    mergeOverrides({ env: query.env, ...query.values });
+  }
+  if (window.KingsListConfig && typeof window.KingsListConfig === "object") {
+    mergeOverrides(window.KingsListConfig);
+  }
+  booted = true;
+
+  console.log(`[config] Using environment "${current.env}" (${current.apiBaseUrl})`);
+  return current;
+};
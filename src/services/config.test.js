@@ -0,0 +1,58 @@
+import { DEFAULT_CONFIG, getConfig, loadConfig, setConfigOverrides } from './config';
+
+const serveConfigFile = (data) => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => data });
+};
+
+beforeEach(() => {
+  sessionStorage.clear();
+  delete window.KingsListConfig;
+});
+
+test('falls back to defaults when config.json is missing', async () => {
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  await loadConfig({ search: '' });
+  expect(getConfig().apiBaseUrl).toBe(DEFAULT_CONFIG.apiBaseUrl);
+});
+
+test('applies the environment picked in the query string', async () => {
+  serveConfigFile({ environments: { mock: { apiBaseUrl: 'http://localhost:4000/api' } } });
+  await loadConfig({ search: '?env=mock' });
+  expect(getConfig()).toMatchObject({ env: 'mock', apiBaseUrl: 'http://localhost:4000/api' });
+});
+
+test('ignores query value overrides unless they are allowed', async () => {
+  serveConfigFile({ allowQueryOverrides: false });
+  await loadConfig({ search: '?config.apiBaseUrl=https://evil.example' });
+  expect(getConfig().apiBaseUrl).toBe(DEFAULT_CONFIG.apiBaseUrl);
+});
+
+test('host overrides win and are coerced to the default types', async () => {
+  serveConfigFile({});
+  window.KingsListConfig = { authPolling: 'true', outboxTtlMs: '1000' };
+  await loadConfig({ search: '' });
+  expect(getConfig()).toMatchObject({ authPolling: true, outboxTtlMs: 1000 });
+
+  setConfigOverrides({ apiBaseUrl: 'http://10.0.2.2:8080/api' });
+  expect(getConfig().apiBaseUrl).toBe('http://10.0.2.2:8080/api');
+});
+
+test('only the build and config.json can allow query overrides', async () => {
+  serveConfigFile({ allowQueryOverrides: false });
+  window.KingsListConfig = { allowQueryOverrides: true };
+  await loadConfig({ search: '?config.allowQueryOverrides=1' });
+  setConfigOverrides({ allowQueryOverrides: true });
+
+  expect(getConfig().allowQueryOverrides).toBe(false);
+  await loadConfig({ search: '?config.apiBaseUrl=https://evil.example' });
+  expect(getConfig().apiBaseUrl).toBe(DEFAULT_CONFIG.apiBaseUrl);
+});
+
+test('refuses settings read at boot once the page has loaded', async () => {
+  serveConfigFile({});
+  await loadConfig({ search: '' });
+
+  expect(() => setConfigOverrides({ sessionStorage: 'memory', apiTimeoutMs: 1 }))
+    .toThrow('sessionStorage can only be set before the page loads');
+  expect(getConfig()).toMatchObject({ sessionStorage: 'local', apiTimeoutMs: DEFAULT_CONFIG.apiTimeoutMs });
+});
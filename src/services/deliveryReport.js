@@ -0,0 +1,57 @@
+// src/services/deliveryReport.js
+// Per-recipient delivery report for a dispatch, built from its journal
+// (dispatchJournal.js), with CSV and JSON export for following up with the
+// recipients who didn't get the message.
+import { DispatchJournal } from "./dispatchJournal";
+
+export const REPORT_COLUMNS = ["kc_id", "username", "fullname", "status", "attempts", "last_error", "updated_at"];
+
+// Resolves with the report rows, in the order recipients were first seen.
+export const loadDeliveryReport = async (dmsgId, options) => {
+  const journal = await new DispatchJournal(dmsgId, options).load();
+  return (await journal.entries()).map((entry) => ({
+    kc_id: entry.kcId,
+    username: entry.username || "",
+    fullname: entry.fullname || "",
+    status: entry.status,
+    attempts: entry.attempts,
+    last_error: entry.error || "",
+    updated_at: entry.updatedAt ? new Date(entry.updatedAt).toISOString() : "",
+  }));
+};
+
+export const filterReport = (rows, status) => (status ? rows.filter((row) => row.status === status) : rows);
+
+const csvCell = (value) => {
+  let text = String(value ?? "");
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const reportToCsv = (rows) => [
+  REPORT_COLUMNS.join(","),
+  ...rows.map((row) => REPORT_COLUMNS.map((column) => csvCell(row[column])).join(",")),
+].join("\r\n");
+
+export const reportToJson = (dmsgId, rows) => JSON.stringify({
+  dmsg_id: String(dmsgId),
+  generated_at: new Date().toISOString(),
+  recipients: rows,
+}, null, 2);
+
+// Saves the report through the browser's download prompt.
+export const downloadReport = (dmsgId, rows, format) => {
+  const csv = format === "csv";
+  const blob = new Blob([csv ? reportToCsv(rows) : reportToJson(dmsgId, rows)], {
+    type: csv ? "text/csv;charset=utf-8" : "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `dispatch-${dmsgId}-report.${csv ? "csv" : "json"}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
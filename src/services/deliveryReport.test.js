@@ -0,0 +1,43 @@
+import { DispatchJournal, RecipientStatus, createMemoryJournalStore } from './dispatchJournal';
+import { filterReport, loadDeliveryReport, reportToCsv, reportToJson } from './deliveryReport';
+
+const loadReport = async () => {
+  const store = createMemoryJournalStore();
+  const journal = await new DispatchJournal('9', { store }).load();
+  await journal.track([
+    { kcId: 'a', username: 'ann', fullname: 'Ann, "The Admin"' },
+    { kcId: 'b', username: 'bob' },
+    'c',
+  ]);
+  await journal.record('a', { status: RecipientStatus.SENT, attempts: 1 });
+  await journal.record('b', { status: RecipientStatus.FAILED, attempts: 3, error: '=HYPERLINK("x")' });
+  return loadDeliveryReport('9', { store });
+};
+
+test('builds one row per recipient from the journal', async () => {
+  const rows = await loadReport();
+  expect(rows.map((row) => [row.kc_id, row.status, row.attempts])).toEqual([
+    ['a', 'sent', 1],
+    ['b', 'failed', 3],
+    ['c', 'pending', 0],
+  ]);
+  expect(rows[0].updated_at).toMatch(/^\d{4}-\d\d-\d\dT/);
+  expect(rows[2]).toMatchObject({ username: '', last_error: '', updated_at: '' });
+  expect(filterReport(rows, 'failed').map((row) => row.kc_id)).toEqual(['b']);
+  expect(filterReport(rows, '')).toHaveLength(3);
+});
+
+test('quotes CSV cells and defuses spreadsheet formulas', async () => {
+  const rows = await loadReport();
+  const [header, ann, bob] = reportToCsv(rows).split('\r\n');
+  expect(header).toBe('kc_id,username,fullname,status,attempts,last_error,updated_at');
+  expect(ann).toMatch(/^a,ann,"Ann, ""The Admin""",sent,1,,/);
+  expect(bob).toBe('b,bob,,failed,3,"\'=HYPERLINK(""x"")",' + rows[1].updated_at);
+});
+
+test('exports JSON with the dispatch id', async () => {
+  const rows = await loadReport();
+  const report = JSON.parse(reportToJson(9, filterReport(rows, 'sent')));
+  expect(report.dmsg_id).toBe('9');
+  expect(report.recipients).toEqual([expect.objectContaining({ kc_id: 'a', fullname: 'Ann, "The Admin"' })]);
+});
@@ -0,0 +1,338 @@
+// src/services/dispatchJournal.js
+// Per-dispatch checkpoint journal. Records every recipient (kc_id) of a
+// dmsg_id as pending, sent or failed with its attempt count, so a dispatch
+// interrupted by a reload or a killed WebView resumes with only the
+// recipients that haven't been handled yet.
+//
+// It is also the idempotency record for (dmsg_id, kc_id): a send is marked
+// in_flight before it goes out. If we never learn how it ended (a crash, or
+// an error that may have come after delivery) the recipient becomes
+// "unknown" and is not messaged again until someone resolves it.
+//
+// Each recipient is its own record, keyed by (dmsg_id, kc_id), so recording
+// an outcome writes that one recipient. Only the recipients of the page
+// being sent (and those still pending from earlier pages) are kept in
+// memory, along with the counts summary() reports. Records live in
+// IndexedDB, or localStorage where IndexedDB is missing.
+import {
+  idbDelete, idbDeletePrefix, idbForEach, idbGet, idbGetMany, idbSetMany, isIndexedDbAvailable,
+} from "./idb";
+
+const STORE = "dispatch_recipients";
+const LOCAL_PREFIX = "kl_dispatch_journal_";
+// Journals used to be saved whole, one object per dispatch
+const LEGACY_STORE = "dispatch_journal";
+const LEGACY_VERSION = 1;
+
+export const RecipientStatus = {
+  PENDING: "pending",
+  SENT: "sent",
+  FAILED: "failed",
+  IN_FLIGHT: "in_flight",
+  UNKNOWN: "unknown",
+};
+
+// The recipients of a journal saved whole, as [kcId, entry] pairs in the
+// order they were first seen.
+const legacyRecords = (saved) => (saved?.version === LEGACY_VERSION && saved.recipients
+  ? Object.entries(saved.recipients).map(([kcId, entry], seq) => [kcId, { ...entry, seq }])
+  : []);
+
+// Journal stores keep one entry per (dmsgId, kcId):
+//   load(dmsgId, kcIds)     entries for kcIds, in order (null if none)
+//   save(dmsgId, records)   writes [kcId, entry] pairs
+//   forEach(dmsgId, fn)     calls fn(kcId, entry) for every recipient
+//   remove(dmsgId)          drops the whole journal
+//   migrate(dmsgId)         optional: moves a journal saved whole into records
+
+const idbJournalStore = {
+  load: async (dmsgId, kcIds) => (await idbGetMany(STORE, kcIds.map((kcId) => [dmsgId, kcId])))
+    .map((entry) => entry || null),
+  save: (dmsgId, records) => idbSetMany(STORE, records.map(([kcId, entry]) => [[dmsgId, kcId], entry])),
+  forEach: (dmsgId, fn) => idbForEach(STORE, [dmsgId], (key, entry) => fn(key[1], entry)),
+  remove: (dmsgId) => idbDeletePrefix(STORE, [dmsgId]),
+  migrate: async (dmsgId) => {
+    const saved = await idbGet(LEGACY_STORE, dmsgId);
+    if (!saved) return;
+    await idbJournalStore.save(dmsgId, legacyRecords(saved));
+    await idbDelete(LEGACY_STORE, dmsgId);
+  },
+};
+
+const localKey = (dmsgId, kcId) => `${LOCAL_PREFIX}${dmsgId}:${kcId}`;
+
+const localJournalStore = {
+  load: async (dmsgId, kcIds) => kcIds.map((kcId) => JSON.parse(localStorage.getItem(localKey(dmsgId, kcId)) || "null")),
+  save: async (dmsgId, records) => records.forEach(([kcId, entry]) => (
+    localStorage.setItem(localKey(dmsgId, kcId), JSON.stringify(entry))
+  )),
+  forEach: async (dmsgId, fn) => {
+    const prefix = localKey(dmsgId, "");
+    const keys = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+      .filter((key) => key?.startsWith(prefix));
+    keys.forEach((key) => fn(key.slice(prefix.length), JSON.parse(localStorage.getItem(key))));
+  },
+  remove: async (dmsgId) => {
+    const keys = [];
+    await localJournalStore.forEach(dmsgId, (kcId) => keys.push(localKey(dmsgId, kcId)));
+    keys.forEach((key) => localStorage.removeItem(key));
+  },
+  migrate: async (dmsgId) => {
+    const saved = JSON.parse(localStorage.getItem(LOCAL_PREFIX + dmsgId) || "null");
+    if (!saved) return;
+    await localJournalStore.save(dmsgId, legacyRecords(saved));
+    localStorage.removeItem(LOCAL_PREFIX + dmsgId);
+  },
+};
+
+// For tests and callers that don't want anything persisted.
+export const createMemoryJournalStore = () => {
+  const journals = new Map();
+  const recordsOf = (dmsgId) => {
+    if (!journals.has(dmsgId)) journals.set(dmsgId, new Map());
+    return journals.get(dmsgId);
+  };
+  const copy = (entry) => (entry ? JSON.parse(JSON.stringify(entry)) : null);
+  return {
+    load: async (dmsgId, kcIds) => kcIds.map((kcId) => copy(recordsOf(dmsgId).get(kcId))),
+    save: async (dmsgId, records) => records.forEach(([kcId, entry]) => recordsOf(dmsgId).set(kcId, copy(entry))),
+    forEach: async (dmsgId, fn) => recordsOf(dmsgId).forEach((entry, kcId) => fn(kcId, copy(entry))),
+    remove: async (dmsgId) => { journals.delete(dmsgId); },
+  };
+};
+
+const namesOf = ({ username, fullname }) => ({
+  ...(username ? { username: String(username) } : {}),
+  ...(fullname ? { fullname: String(fullname) } : {}),
+});
+
+const defaultJournalStore = () => (isIndexedDbAvailable() ? idbJournalStore : localJournalStore);
+
+const emptyCounts = () => ({ sent: 0, failed: 0, pending: 0, in_flight: 0, unknown: 0, attempts: 0 });
+
+const isSettled = (entry) => [RecipientStatus.SENT, RecipientStatus.FAILED, RecipientStatus.UNKNOWN].includes(entry.status);
+
+// A new one for every load(), so a recipient repeated on a later page of
+// the same run can be told from one handled by an earlier run.
+const newRunId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export class DispatchJournal {
+  constructor(dmsgId, { store = defaultJournalStore() } = {}) {
+    this.dmsgId = String(dmsgId);
+    this.store = store;
+    this.run = newRunId();
+    this.counts = emptyCounts();
+    this.nextSeq = 0;
+    // Entries of the recipients this run is working on
+    this.cache = new Map();
+    // Entries changed since the last write
+    this.dirty = new Map();
+    this.writes = Promise.resolve();
+    this.queuedWrite = null;
+  }
+
+  // Reads the counts (one pass over the stored records, none kept) and
+  // starts a new run.
+  async load() {
+    try {
+      await this.scan();
+    } catch (e) {
+      // IndexedDB can exist and still refuse to open (private modes).
+      console.warn("[journal] Could not read journal, falling back to localStorage:", e);
+      this.store = localJournalStore;
+      await this.scan().catch(() => {});
+    }
+    this.run = newRunId();
+    this.cache.clear();
+    return this;
+  }
+
+  async scan() {
+    await this.store.migrate?.(this.dmsgId);
+    const counts = emptyCounts();
+    let nextSeq = 0;
+    await this.store.forEach(this.dmsgId, (kcId, entry) => {
+      counts[entry.status] += 1;
+      counts.attempts += entry.attempts;
+      nextSeq = Math.max(nextSeq, (entry.seq ?? -1) + 1);
+    });
+    this.counts = counts;
+    this.nextSeq = nextSeq;
+  }
+
+  // The entry of a recipient passed to track() or record() in this run.
+  get(kcId) {
+    return this.cache.get(kcId) || null;
+  }
+
+  get hasProgress() {
+    return this.counts.attempts > 0;
+  }
+
+  // Takes a page of kc_ids, or { kcId, username, fullname } so the delivery
+  // report can name them. Adds the ones not seen before as pending and
+  // marks them all as part of this run. Resolves with the kc_ids not
+  // already tracked earlier in this run.
+  async track(recipients) {
+    // Recipients settled on earlier pages are done with
+    this.cache.forEach((entry, kcId) => {
+      if (isSettled(entry)) this.cache.delete(kcId);
+    });
+    const page = new Map();
+    recipients.forEach((recipient) => {
+      const { kcId, ...names } = typeof recipient === "string" ? { kcId: recipient } : recipient;
+      if (!page.has(kcId)) page.set(kcId, names);
+    });
+    const kcIds = [...page.keys()];
+    await this.writes;
+    const saved = await this.store.load(this.dmsgId, kcIds);
+
+    const fresh = [];
+    let changed = false;
+    kcIds.forEach((kcId, i) => {
+      const entry = this.cache.get(kcId) || saved[i];
+      const names = page.get(kcId);
+      if (!entry) {
+        fresh.push(kcId);
+        this.counts.pending += 1;
+        this.remember(kcId, { status: RecipientStatus.PENDING, attempts: 0, ...namesOf(names), seq: this.nextSeq++, run: this.run });
+        changed = true;
+        return;
+      }
+      const repeated = entry.run === this.run;
+      if (!repeated) fresh.push(kcId);
+      const named = names.username && !entry.username ? namesOf(names) : {};
+      if (!repeated || named.username) {
+        this.remember(kcId, { ...entry, ...named, run: this.run });
+        changed = true;
+      }
+    });
+    if (changed) await this.save();
+    return fresh;
+  }
+
+  // Records the outcome of an attempt. Resolves once it is persisted.
+  record(kcId, { status, attempts, error }) {
+    const previous = this.cache.get(kcId);
+    if (previous) {
+      this.counts[previous.status] -= 1;
+      this.counts.attempts -= previous.attempts;
+    }
+    this.counts[status] += 1;
+    this.counts.attempts += attempts;
+    this.remember(kcId, {
+      ...namesOf(previous || {}),
+      status,
+      attempts,
+      updatedAt: Date.now(),
+      ...(error ? { error } : {}),
+      seq: previous?.seq ?? this.nextSeq++,
+      ...(previous?.run ? { run: previous.run } : {}),
+    });
+    return this.save();
+  }
+
+  // Every recipient as { kcId, username, fullname, status, attempts,
+  // error, updatedAt }, in the order they were first seen.
+  async entries() {
+    await this.writes;
+    const entries = [];
+    await this.store.forEach(this.dmsgId, (kcId, { seq, run, ...entry }) => entries.push({ seq, kcId, ...entry }));
+    return entries
+      .sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0))
+      .map(({ seq, ...entry }) => entry);
+  }
+
+  summary() {
+    return { ...this.counts };
+  }
+
+  // Compares the journal with the dispatch_count kingslist.pro has on file.
+  // journalCount above serverCount means a count update was lost and should
+  // be reported again; below means recipients were handled somewhere this
+  // journal doesn't know about (another device, or cleared storage).
+  reconcile(serverCount) {
+    const { sent, failed, unknown, in_flight: inFlight } = this.summary();
+    const journalCount = sent + failed + unknown + inFlight;
+    return {
+      journalCount,
+      serverCount,
+      inSync: journalCount === serverCount,
+      unreported: Math.max(0, journalCount - serverCount),
+      unaccounted: Math.max(0, serverCount - journalCount),
+    };
+  }
+
+  // Settles every unknown recipient as SENT (confirmed delivered) or PENDING
+  // (send again on the next run).
+  async resolveUnknown(status) {
+    await this.writes;
+    const unknown = [];
+    await this.store.forEach(this.dmsgId, (kcId, entry) => {
+      if (entry.status === RecipientStatus.UNKNOWN) unknown.push([kcId, entry]);
+    });
+    unknown.forEach(([kcId, entry]) => {
+      this.counts.unknown -= 1;
+      this.counts[status] += 1;
+      this.remember(kcId, { ...entry, status, updatedAt: Date.now() });
+    });
+    return this.save();
+  }
+
+  // kc_ids of the failed and unknown recipients, for a rerun that sends
+  // only to them. Nothing is changed here: each keeps its status until the
+  // rerun records a new attempt, so a rerun that never gets going leaves
+  // them as they were.
+  async failedRecipients() {
+    await this.writes;
+    const kcIds = [];
+    await this.store.forEach(this.dmsgId, (kcId, entry) => {
+      if (entry.status === RecipientStatus.FAILED || entry.status === RecipientStatus.UNKNOWN) kcIds.push(kcId);
+    });
+    return kcIds;
+  }
+
+  clear() {
+    this.counts = emptyCounts();
+    this.nextSeq = 0;
+    this.cache.clear();
+    this.dirty.clear();
+    this.writes = this.writes.then(() => this.store.remove(this.dmsgId));
+    return this.writes;
+  }
+
+  remember(kcId, entry) {
+    this.cache.set(kcId, entry);
+    this.dirty.set(kcId, entry);
+  }
+
+  // Writes are chained so they land in order. A write that hasn't started
+  // yet already picks up later changes, so calls made while one is queued
+  // share it, and each recipient is written once however often it changed.
+  save() {
+    if (!this.queuedWrite) {
+      this.queuedWrite = this.writes
+        .then(() => {
+          this.queuedWrite = null;
+          const records = [...this.dirty];
+          this.dirty = new Map();
+          return this.store.save(this.dmsgId, records);
+        })
+        .catch((e) => console.warn("[journal] Could not save journal:", e));
+      this.writes = this.queuedWrite;
+    }
+    return this.queuedWrite;
+  }
+}
+
+export const resolveUnknownRecipients = async (dmsgId, status, options) => {
+  const journal = await new DispatchJournal(dmsgId, options).load();
+  await journal.resolveUnknown(status);
+  return journal.summary();
+};
+
+// Progress recorded for a dispatch, or null if it was never started here.
+export const loadJournalSummary = async (dmsgId, options) => {
+  const journal = await new DispatchJournal(dmsgId, options).load();
+  return journal.hasProgress ? journal.summary() : null;
+};
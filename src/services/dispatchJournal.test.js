@@ -0,0 +1,127 @@
+import { DispatchJournal, RecipientStatus, createMemoryJournalStore, loadJournalSummary } from './dispatchJournal';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('persists outcomes and reloads them', async () => {
+  const journal = await new DispatchJournal('7').load();
+  await journal.track(['a', 'b', 'c']);
+  await journal.record('a', { status: RecipientStatus.SENT, attempts: 1 });
+  await journal.record('b', { status: RecipientStatus.FAILED, attempts: 2, error: 'error' });
+
+  const reloaded = await new DispatchJournal('7').load();
+  expect((await reloaded.entries())[1]).toMatchObject({ kcId: 'b', status: 'failed', attempts: 2, error: 'error' });
+  expect(reloaded.summary()).toEqual({ sent: 1, failed: 1, pending: 1, in_flight: 0, unknown: 0, attempts: 3 });
+  await expect(loadJournalSummary('7')).resolves.toMatchObject({ pending: 1 });
+});
+
+test('reports nothing for a dispatch that never sent', async () => {
+  const journal = await new DispatchJournal('8').load();
+  await journal.track(['a']);
+  await expect(loadJournalSummary('8')).resolves.toBeNull();
+});
+
+test('reconciles with the server dispatch_count', async () => {
+  const journal = await new DispatchJournal('7').load();
+  await journal.record('a', { status: RecipientStatus.SENT, attempts: 1 });
+  await journal.record('b', { status: RecipientStatus.SENT, attempts: 1 });
+
+  expect(journal.reconcile(2)).toMatchObject({ inSync: true });
+  expect(journal.reconcile(1)).toMatchObject({ inSync: false, unreported: 1, unaccounted: 0 });
+  expect(journal.reconcile(5)).toMatchObject({ inSync: false, unreported: 0, unaccounted: 3 });
+
+  await journal.clear();
+  await expect(new DispatchJournal('7').load()).resolves.toMatchObject({ hasProgress: false });
+});
+
+test('resolves unknown recipients', async () => {
+  const journal = await new DispatchJournal('9').load();
+  await journal.record('a', { status: RecipientStatus.UNKNOWN, attempts: 1 });
+  await journal.record('b', { status: RecipientStatus.UNKNOWN, attempts: 1 });
+
+  await journal.resolveUnknown(RecipientStatus.PENDING);
+
+  expect(journal.summary()).toMatchObject({ unknown: 0, pending: 2 });
+  expect((await (await new DispatchJournal('9').load()).entries())[0]).toMatchObject({ kcId: 'a', status: 'pending' });
+});
+
+test('shares one queued write between records made while it waits', async () => {
+  const store = createMemoryJournalStore();
+  const save = jest.spyOn(store, 'save');
+  const journal = new DispatchJournal('9', { store });
+
+  await Promise.all([
+    journal.record('a', { status: RecipientStatus.IN_FLIGHT, attempts: 1 }),
+    journal.record('b', { status: RecipientStatus.SENT, attempts: 1 }),
+    journal.record('c', { status: RecipientStatus.FAILED, attempts: 1 }),
+    journal.record('a', { status: RecipientStatus.SENT, attempts: 1 }),
+  ]);
+
+  // One write, of each recipient once
+  expect(save).toHaveBeenCalledTimes(1);
+  expect(save.mock.calls[0][1].map(([kcId, entry]) => [kcId, entry.status])).toEqual([
+    ['a', 'sent'],
+    ['b', 'sent'],
+    ['c', 'failed'],
+  ]);
+});
+
+test('keeps recipient names through later outcomes', async () => {
+  const journal = await new DispatchJournal('11').load();
+  await journal.track(['a', { kcId: 'b', username: 'bee', fullname: 'Bee Jones' }]);
+  await journal.track([{ kcId: 'a', username: 'ay' }]);
+  await journal.record('b', { status: RecipientStatus.SENT, attempts: 1 });
+
+  const reloaded = await new DispatchJournal('11').load();
+  expect(await reloaded.entries()).toEqual([
+    { kcId: 'a', username: 'ay', status: 'pending', attempts: 0 },
+    expect.objectContaining({ kcId: 'b', username: 'bee', fullname: 'Bee Jones', status: 'sent', attempts: 1 }),
+  ]);
+});
+
+test('lists failed and unknown recipients without requeueing them', async () => {
+  const journal = await new DispatchJournal('12').load();
+  await journal.track(['a', 'b', 'c']);
+  await journal.record('a', { status: RecipientStatus.SENT, attempts: 1 });
+  await journal.record('b', { status: RecipientStatus.FAILED, attempts: 2, error: 'error' });
+  await journal.record('c', { status: RecipientStatus.UNKNOWN, attempts: 1 });
+
+  await expect(journal.failedRecipients()).resolves.toEqual(['b', 'c']);
+  expect(journal.get('b')).toMatchObject({ status: 'failed', attempts: 2 });
+  expect((await new DispatchJournal('12').load()).summary()).toMatchObject({ sent: 1, failed: 1, unknown: 1, pending: 0 });
+});
+
+test('only skips recipients already tracked in the same run', async () => {
+  const store = createMemoryJournalStore();
+  const journal = await new DispatchJournal('13', { store }).load();
+
+  await expect(journal.track(['a', 'b'])).resolves.toEqual(['a', 'b']);
+  await journal.record('a', { status: RecipientStatus.SENT, attempts: 1 });
+  await expect(journal.track(['b', 'c', 'a'])).resolves.toEqual(['c']);
+  expect(journal.summary()).toMatchObject({ sent: 1, pending: 2 });
+
+  // The next run sees them all again, with what the last one recorded
+  await journal.load();
+  await expect(journal.track(['a', 'c'])).resolves.toEqual(['a', 'c']);
+  expect(journal.get('a')).toMatchObject({ status: 'sent', attempts: 1 });
+});
+
+test('moves a journal saved whole into one record per recipient', async () => {
+  localStorage.setItem('kl_dispatch_journal_14', JSON.stringify({
+    version: 1,
+    dmsgId: '14',
+    recipients: {
+      b: { status: 'sent', attempts: 1, username: 'bee' },
+      a: { status: 'failed', attempts: 2, error: 'error' },
+    },
+  }));
+
+  const journal = await new DispatchJournal('14').load();
+
+  expect(journal.summary()).toMatchObject({ sent: 1, failed: 1, attempts: 3 });
+  expect((await journal.entries()).map((entry) => entry.kcId)).toEqual(['b', 'a']);
+  expect(localStorage.getItem('kl_dispatch_journal_14')).toBeNull();
+  await expect(journal.track(['a', 'c'])).resolves.toEqual(['a', 'c']);
+  expect(journal.get('a')).toMatchObject({ status: 'failed', attempts: 2 });
+});
@@ -0,0 +1,49 @@
+// src/services/dispatchPreferences.js
+// Dispatch settings a user can tune for their own KingsChat account,
+// remembered in localStorage per account.
+import { getConfig } from "./config";
+import { MAX_CONCURRENCY } from "./dispatchRunner";
+
+const PREFS_KEY = "kl_dispatch_prefs";
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PREFS_KEY) || "{}");
+  } catch (e) {
+    return {};
+  }
+};
+
+const clampConcurrency = (value) => Math.min(MAX_CONCURRENCY, Math.max(1, Math.round(Number(value)) || 1));
+
+// KingsChat user IDs from a list or from text separated by commas or spaces.
+export const parseTestRecipients = (value) => {
+  const ids = Array.isArray(value) ? value : String(value || "").split(/[\s,]+/);
+  return [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+};
+
+// Account ID from the session profile; "default" before the profile loads.
+export const accountIdFor = (session) => session?.profile?.id || session?.profile?.username || "default";
+
+export const getDispatchPreferences = (accountId) => {
+  const stored = readAll()[accountId] || {};
+  return {
+    concurrency: clampConcurrency(stored.concurrency ?? getConfig().dispatchConcurrency),
+    // Accounts that receive test sends (see testSend.js)
+    testRecipients: parseTestRecipients(stored.testRecipients),
+  };
+};
+
+export const saveDispatchPreferences = (accountId, changes) => {
+  const all = readAll();
+  const next = { ...getDispatchPreferences(accountId), ...changes };
+  next.concurrency = clampConcurrency(next.concurrency);
+  next.testRecipients = parseTestRecipients(next.testRecipients);
+  all[accountId] = next;
+  try {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(all));
+  } catch (e) {
+    console.warn("[dispatch] Could not save preferences:", e);
+  }
+  return next;
+};
@@ -0,0 +1,32 @@
+import { accountIdFor, getDispatchPreferences, saveDispatchPreferences } from './dispatchPreferences';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('remembers concurrency per account', () => {
+  expect(getDispatchPreferences('a').concurrency).toBe(1);
+
+  saveDispatchPreferences('a', { concurrency: '4' });
+
+  expect(getDispatchPreferences('a').concurrency).toBe(4);
+  expect(getDispatchPreferences('b').concurrency).toBe(1);
+});
+
+test('keeps concurrency within 1 to 8', () => {
+  expect(saveDispatchPreferences('a', { concurrency: 20 }).concurrency).toBe(8);
+  expect(saveDispatchPreferences('a', { concurrency: -1 }).concurrency).toBe(1);
+});
+
+test('uses the profile ID as the account', () => {
+  expect(accountIdFor({ profile: { id: 'kc-1' } })).toBe('kc-1');
+  expect(accountIdFor(null)).toBe('default');
+});
+
+test('remembers the test accounts as a clean list', () => {
+  expect(getDispatchPreferences('a').testRecipients).toEqual([]);
+
+  saveDispatchPreferences('a', { testRecipients: ' kc-1, kc-2\nkc-1 ' });
+
+  expect(getDispatchPreferences('a')).toEqual({ concurrency: 1, testRecipients: ['kc-1', 'kc-2'] });
+});
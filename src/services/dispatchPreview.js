@@ -0,0 +1,111 @@
+// src/services/dispatchPreview.js
+// Dry run of a dispatch: reads the whole batch and renders every message the
+// way DispatchRunner would, without sending anything or reporting a count to
+// kingslist.pro. Only a sample of the rendered messages is kept, so large
+// batches are previewed in the same memory as they are sent.
+import { isValidKcId, streamDispatchPages } from "./dispatchService";
+import { renderTemplate, validateTemplate } from "./messageTemplate";
+import { DEFAULT_DISPATCH_SETTINGS } from "./dispatchRunner";
+import { estimateSendDurationMs } from "./rateLimiter";
+
+export const PREVIEW_SAMPLE_SIZE = 50;
+// Recipients listed per problem; the rest are only counted
+const MAX_EXAMPLES = 20;
+// Rough KingsChat round trip for one send. With few sends in flight it, not
+// the rate limit, sets the pace.
+const TYPICAL_SEND_LATENCY_MS = 1000;
+
+const recipientName = (msg) => msg.fullname || msg.username || String(msg.kc_id ?? "");
+
+const addExample = (problem, example) => {
+  problem.count += 1;
+  if (problem.examples.length < MAX_EXAMPLES) problem.examples.push(example);
+};
+
+// Resolves with:
+//   rows           recipients as listed in the batch
+//   recipients     distinct, valid kc_ids (what a dispatch would go through)
+//   sendable       recipients whose message renders with every required field
+//   duplicates     { count, examples: [kcId] }
+//   invalidIds     { count, examples: [kcId] }
+//   incomplete     { count, examples: [{ kcId, name, missing }] }
+//   templateErrors problems found in the message templates
+//   samples        the first PREVIEW_SAMPLE_SIZE rendered messages
+//                  ({ kcId, name, body, missing })
+//   estimatedMs    time to send the sendable messages at the rate limits
+//                  and concurrency (pass the account's saved preferences)
+//   dispatchCount  recipients kingslist.pro already counts as handled
+//
+// onProgress(rowsSoFar) is called after each page.
+export const buildDispatchPreview = async (dmsgId, {
+  signal,
+  fetchPage,
+  pageSize = DEFAULT_DISPATCH_SETTINGS.pageSize,
+  rateLimit = DEFAULT_DISPATCH_SETTINGS.rateLimit,
+  concurrency = DEFAULT_DISPATCH_SETTINGS.concurrency,
+  onProgress,
+} = {}) => {
+  const preview = {
+    rows: 0,
+    recipients: 0,
+    sendable: 0,
+    duplicates: { count: 0, examples: [] },
+    invalidIds: { count: 0, examples: [] },
+    incomplete: { count: 0, examples: [] },
+    templateErrors: [],
+    samples: [],
+    estimatedMs: 0,
+    dispatchCount: null,
+  };
+  const seen = new Set();
+  const templateProblems = new Map();
+  let brokenTemplate = 0;
+
+  const pages = streamDispatchPages(dmsgId, { pageSize, signal, fetchPage });
+  for await (const page of pages) {
+    if (preview.dispatchCount === null && page.dispatch_count !== undefined) {
+      preview.dispatchCount = Number(page.dispatch_count);
+    }
+
+    for (const msg of page.messages) {
+      preview.rows += 1;
+      const kcId = String(msg.kc_id ?? "").trim();
+      if (!isValidKcId(kcId)) {
+        addExample(preview.invalidIds, kcId);
+        continue;
+      }
+      if (seen.has(kcId)) {
+        addExample(preview.duplicates, kcId);
+        continue;
+      }
+      seen.add(kcId);
+
+      if (!templateProblems.has(msg.body)) templateProblems.set(msg.body, validateTemplate(msg.body));
+      if (templateProblems.get(msg.body).length) {
+        brokenTemplate += 1;
+        continue;
+      }
+
+      const { text, missing } = renderTemplate(msg.body, msg);
+      if (missing.length) {
+        addExample(preview.incomplete, { kcId, name: recipientName(msg), missing });
+      } else {
+        preview.sendable += 1;
+      }
+      if (preview.samples.length < PREVIEW_SAMPLE_SIZE) {
+        preview.samples.push({ kcId, name: recipientName(msg), body: text, missing });
+      }
+    }
+    onProgress?.(preview.rows);
+  }
+
+  preview.recipients = seen.size;
+  preview.templateErrors = [...new Set([...templateProblems.values()].flat())];
+  // A broken template stops the whole dispatch, so nothing would be sent
+  if (brokenTemplate > 0) preview.sendable = 0;
+  preview.estimatedMs = estimateSendDurationMs(preview.sendable, rateLimit, {
+    concurrency,
+    sendLatencyMs: TYPICAL_SEND_LATENCY_MS,
+  });
+  return preview;
+};
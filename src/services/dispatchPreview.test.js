@@ -0,0 +1,45 @@
+import { buildDispatchPreview } from './dispatchPreview';
+
+const row = (kcId, extra) => ({ kc_id: kcId, username: kcId, fullname: `Name ${kcId}`, body: 'Hi <fullname|first>', ...extra });
+
+test('renders every recipient across pages and lists what is wrong', async () => {
+  const pages = {
+    first: {
+      messages: [row('a'), row('b', { fullname: '' }), row('bad/id'), row('a')],
+      next_cursor: 'p2',
+      dispatch_count: 0,
+    },
+    p2: { messages: [row(' c '), row('')], next_cursor: null },
+  };
+  const fetchPage = jest.fn((dmsgId, { cursor }) => Promise.resolve(pages[cursor || 'first']));
+  const onProgress = jest.fn();
+
+  const preview = await buildDispatchPreview('42', {
+    fetchPage,
+    onProgress,
+    rateLimit: { initialRate: 1, maxRate: 1, burst: 1 },
+  });
+
+  expect(preview).toMatchObject({
+    rows: 6,
+    recipients: 3,
+    sendable: 2,
+    dispatchCount: 0,
+    duplicates: { count: 1, examples: ['a'] },
+    invalidIds: { count: 2, examples: ['bad/id', ''] },
+    incomplete: { count: 1, examples: [{ kcId: 'b', name: 'b', missing: ['fullname'] }] },
+    templateErrors: [],
+    estimatedMs: 1000,
+  });
+  expect(preview.samples.map(({ body }) => body)).toEqual(['Hi Name', 'Hi ', 'Hi Name']);
+  expect(onProgress).toHaveBeenLastCalledWith(6);
+});
+
+test('reports template errors and that nothing would be sent', async () => {
+  const fetchPage = jest.fn().mockResolvedValue({ messages: [row('a', { body: 'Hi <if fullname>' })], next_cursor: null });
+
+  const preview = await buildDispatchPreview('42', { fetchPage });
+
+  expect(preview.templateErrors).toEqual(['<if fullname> is never closed']);
+  expect(preview).toMatchObject({ recipients: 1, sendable: 0, samples: [], estimatedMs: 0 });
+});
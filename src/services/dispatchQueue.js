@@ -0,0 +1,260 @@
+// src/services/dispatchQueue.js
+// Runs several dispatches (dmsg_ids) one after another. Each item gets its
+// own DispatchRunner, so its own journal, progress and final
+// updateDispatchCount.php report. A dispatch started elsewhere in the page
+// (the portal) is waited for, so only one batch is ever sending. The list
+// is kept in localStorage so a reload picks the queue up where it was.
+//
+// Item statuses: "queued" | "running" | "completed" | "skipped" |
+// "cancelled" | "error"
+//
+// Events:
+//   change  snapshot() after anything in the queue changed
+//   error   { dmsgId, error } an item failed; the queue moves on, except
+//           on AuthExpiredError, which stops it until the user logs in
+import { EventEmitter } from "./eventEmitter";
+import { DispatchRunner, getActiveDispatch, whenDispatchIdle } from "./dispatchRunner";
+import { accountIdFor, getDispatchPreferences } from "./dispatchPreferences";
+import { clearDispatchSchedule, getDispatchSchedule } from "./dispatchSchedule";
+import { getSession } from "./sessionStore";
+import { AuthExpiredError, describeApiError } from "./apiErrors";
+
+const QUEUE_KEY = "kl_dispatch_queue";
+const FINISHED = ["completed", "skipped", "cancelled", "error"];
+
+const defaultCreateRunner = (dmsgId) => new DispatchRunner(dmsgId, {
+  settings: {
+    concurrency: getDispatchPreferences(accountIdFor(getSession())).concurrency,
+    schedule: getDispatchSchedule(dmsgId),
+  },
+});
+
+const localQueueStore = {
+  load: () => {
+    try {
+      return JSON.parse(localStorage.getItem(QUEUE_KEY) || "null");
+    } catch (e) {
+      return null;
+    }
+  },
+  save: (data) => {
+    try {
+      localStorage.setItem(QUEUE_KEY, JSON.stringify(data));
+    } catch (e) {
+      console.warn("[queue] Could not save dispatch queue:", e);
+    }
+  },
+};
+
+export class DispatchQueue extends EventEmitter {
+  constructor({ createRunner = defaultCreateRunner, store = localQueueStore } = {}) {
+    super();
+    this.createRunner = createRunner;
+    this.store = store;
+    this.running = false;
+    this.waitingForLogin = false;
+    this.current = null;
+    // dmsg_id of a dispatch started outside the queue that it waits for
+    this.waitingFor = null;
+    this.stopWaiting = null;
+
+    const saved = store.load();
+    // An item that was running when the page went away resumes from its
+    // journal next time
+    this.items = (saved?.items || []).map((item) => (
+      item.status === "running" ? { ...item, status: "queued" } : item
+    ));
+    // Whether the queue was left running, so the page can carry on
+    this.wantsToRun = Boolean(saved?.running);
+  }
+
+  snapshot() {
+    return {
+      running: this.running,
+      currentId: this.current?.dmsgId || null,
+      waitingFor: this.waitingFor,
+      items: this.items.map((item) => ({ ...item })),
+    };
+  }
+
+  // Adds dmsg_ids to the end of the queue. Ones already waiting are left
+  // where they are; finished ones are queued again. With start, the queue
+  // page starts the queue as soon as the user is logged in.
+  add(dmsgIds, { start = false } = {}) {
+    if (start) this.wantsToRun = true;
+    dmsgIds.map((id) => String(id).trim()).filter(Boolean).forEach((dmsgId) => {
+      const existing = this.find(dmsgId);
+      if (!existing) {
+        this.items.push({ dmsgId, status: "queued", progress: null, error: null });
+      } else if (FINISHED.includes(existing.status)) {
+        this.requeue(dmsgId);
+      }
+    });
+    this.changed();
+  }
+
+  // Moves a waiting item by offset places (-1 is up one).
+  move(dmsgId, offset) {
+    const from = this.items.findIndex((item) => item.dmsgId === String(dmsgId));
+    const to = Math.min(this.items.length - 1, Math.max(0, from + offset));
+    if (from === -1 || to === from) return;
+    const [item] = this.items.splice(from, 1);
+    this.items.splice(to, 0, item);
+    this.changed();
+  }
+
+  // Leaves the item in the list without running it. Skipping the running
+  // item cancels it after its in-flight sends; its count so far is reported.
+  skip(dmsgId) {
+    const item = this.find(dmsgId);
+    if (!item) return;
+    if (item.status === "running") {
+      this.current.skipped = true;
+      this.current.runner.cancel();
+    } else if (item.status === "queued") {
+      item.status = "skipped";
+      this.changed();
+    }
+  }
+
+  // Takes an item out of the queue, cancelling it if it is running.
+  remove(dmsgId) {
+    const item = this.find(dmsgId);
+    if (!item) return;
+    if (item.status === "running") {
+      this.current.removed = true;
+      this.current.runner.cancel();
+      return;
+    }
+    this.items = this.items.filter((other) => other !== item);
+    this.changed();
+  }
+
+  requeue(dmsgId) {
+    const item = this.find(dmsgId);
+    if (!item || !FINISHED.includes(item.status)) return;
+    Object.assign(item, { status: "queued", error: null });
+    this.changed();
+  }
+
+  clearFinished() {
+    this.items = this.items.filter((item) => !FINISHED.includes(item.status));
+    this.changed();
+  }
+
+  // Runs queued items in order until none are left or stop() is called.
+  // Resolves when the queue stops.
+  async start() {
+    if (this.running) return;
+    this.running = true;
+    this.wantsToRun = true;
+    this.changed();
+    try {
+      let item = this.nextQueued();
+      while (this.running && item) {
+        if (getActiveDispatch()) {
+          await this.waitForOtherDispatch();
+        } else {
+          await this.runItem(item);
+        }
+        item = this.nextQueued();
+      }
+    } finally {
+      this.running = false;
+      // Stopped by an expired login: carry on once the user is back
+      this.wantsToRun = this.waitingForLogin;
+      this.waitingForLogin = false;
+      this.changed();
+    }
+  }
+
+  // Stops the queue. The running item is cancelled once its in-flight sends
+  // finish and goes back to "queued", to resume from its journal next time.
+  stop() {
+    this.running = false;
+    this.stopWaiting?.();
+    if (this.current) {
+      this.current.stopped = true;
+      this.current.runner.cancel();
+    }
+    this.changed();
+  }
+
+  // ── Internals ──
+
+  async runItem(item) {
+    const runner = this.createRunner(item.dmsgId);
+    this.current = { dmsgId: item.dmsgId, runner };
+    item.status = "running";
+    item.error = null;
+    this.changed();
+
+    const offProgress = runner.on("progress", (progress) => {
+      item.progress = progress;
+      // Progress is frequent: tell listeners but don't rewrite storage
+      this.emit("change", this.snapshot());
+    });
+    try {
+      item.progress = await runner.start();
+      item.status = this.outcomeOf(runner);
+      if (item.status !== "queued") clearDispatchSchedule(item.dmsgId);
+    } catch (error) {
+      console.error(`[queue] Dispatch ${item.dmsgId} failed:`, error);
+      if (error instanceof AuthExpiredError) {
+        // Same login for every item: stop rather than fail them all
+        item.status = "queued";
+        this.running = false;
+        this.waitingForLogin = true;
+      } else {
+        item.status = "error";
+      }
+      item.error = describeApiError(error);
+      this.emit("error", { dmsgId: item.dmsgId, error });
+    } finally {
+      offProgress();
+      const { removed } = this.current;
+      this.current = null;
+      if (removed) this.items = this.items.filter((other) => other !== item);
+      this.changed();
+    }
+  }
+
+  async waitForOtherDispatch() {
+    this.waitingFor = getActiveDispatch().dmsgId;
+    this.changed();
+    await new Promise((resolve) => {
+      this.stopWaiting = resolve;
+      whenDispatchIdle().then(resolve);
+    });
+    this.stopWaiting = null;
+    this.waitingFor = null;
+    this.changed();
+  }
+
+  outcomeOf(runner) {
+    if (runner.state !== "cancelled") return "completed";
+    if (this.current.stopped) return "queued";
+    return this.current.skipped ? "skipped" : "cancelled";
+  }
+
+  find(dmsgId) {
+    return this.items.find((item) => item.dmsgId === String(dmsgId)) || null;
+  }
+
+  nextQueued() {
+    return this.items.find((item) => item.status === "queued") || null;
+  }
+
+  changed() {
+    this.store.save({ running: this.wantsToRun, items: this.items });
+    this.emit("change", this.snapshot());
+  }
+}
+
+let sharedQueue = null;
+
+// The page-wide queue, shared by the queue page and the bridge commands.
+export const getDispatchQueue = () => {
+  if (!sharedQueue) sharedQueue = new DispatchQueue();
+  return sharedQueue;
+};
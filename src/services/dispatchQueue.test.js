@@ -0,0 +1,176 @@
+import { DispatchQueue } from './dispatchQueue';
+import { DispatchRunner } from './dispatchRunner';
+import { EventEmitter } from './eventEmitter';
+import { AuthExpiredError } from './apiErrors';
+
+// Stands in for DispatchRunner: start() resolves when the test says so.
+class FakeRunner extends EventEmitter {
+  constructor(dmsgId) {
+    super();
+    this.dmsgId = dmsgId;
+    this.state = 'idle';
+    this.done = new Promise((resolve, reject) => { this.finish = resolve; this.fail = reject; });
+  }
+
+  start() {
+    this.state = 'running';
+    return this.done.then((progress) => {
+      if (this.state === 'running') this.state = 'completed';
+      return progress;
+    });
+  }
+
+  cancel() {
+    this.state = 'cancelled';
+    this.finish({ current: 1, total: 3 });
+  }
+}
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+const createQueue = () => {
+  const runners = [];
+  const saved = {};
+  const store = { load: () => saved.data || null, save: (data) => { saved.data = JSON.parse(JSON.stringify(data)); } };
+  const queue = new DispatchQueue({
+    store,
+    createRunner: (dmsgId) => {
+      const runner = new FakeRunner(dmsgId);
+      runners.push(runner);
+      return runner;
+    },
+  });
+  return { queue, runners, store };
+};
+
+const statuses = (queue) => queue.snapshot().items.map(({ dmsgId, status }) => `${dmsgId}:${status}`);
+
+test('runs dispatches one after another with their own runner', async () => {
+  const { queue, runners } = createQueue();
+  queue.add(['1', '2', ' 2 ']);
+
+  const run = queue.start();
+  await flush();
+  expect(runners.map((runner) => runner.dmsgId)).toEqual(['1']);
+  runners[0].emit('progress', { current: 2, total: 5 });
+  expect(queue.snapshot().items[0].progress).toEqual({ current: 2, total: 5 });
+
+  runners[0].finish({ current: 5, total: 5 });
+  await flush();
+  expect(runners.map((runner) => runner.dmsgId)).toEqual(['1', '2']);
+  runners[1].finish({ current: 1, total: 1 });
+  await run;
+
+  expect(statuses(queue)).toEqual(['1:completed', '2:completed']);
+  expect(queue.snapshot().running).toBe(false);
+});
+
+test('reorders, skips and removes queued items', async () => {
+  const { queue, runners } = createQueue();
+  queue.add(['1', '2', '3', '4']);
+  queue.move('3', -2);
+  queue.skip('2');
+  queue.remove('4');
+  expect(statuses(queue)).toEqual(['3:queued', '1:queued', '2:skipped']);
+
+  const run = queue.start();
+  await flush();
+  queue.skip('3');
+  await flush();
+  runners[1].finish({});
+  await run;
+
+  expect(runners.map((runner) => runner.dmsgId)).toEqual(['3', '1']);
+  expect(statuses(queue)).toEqual(['3:skipped', '1:completed', '2:skipped']);
+});
+
+test('stop puts the running item back in the queue', async () => {
+  const { queue, runners, store } = createQueue();
+  queue.add(['1', '2']);
+
+  const run = queue.start();
+  await flush();
+  queue.stop();
+  await run;
+
+  expect(runners).toHaveLength(1);
+  expect(statuses(queue)).toEqual(['1:queued', '2:queued']);
+  expect(store.load().running).toBe(false);
+});
+
+test('moves past a failed item but waits for a login on an expired session', async () => {
+  const { queue, runners, store } = createQueue();
+  const onError = jest.fn();
+  queue.on('error', onError);
+  queue.add(['1', '2', '3']);
+
+  const run = queue.start();
+  await flush();
+  runners[0].fail(new Error('offline'));
+  await flush();
+  runners[1].fail(new AuthExpiredError(401));
+  await run;
+
+  expect(statuses(queue)).toEqual(['1:error', '2:queued', '3:queued']);
+  expect(onError).toHaveBeenCalledTimes(2);
+  expect(store.load().running).toBe(true);
+  expect(new DispatchQueue({ store }).wantsToRun).toBe(true);
+});
+
+test('resumes an item that was running when the page went away', () => {
+  const store = { load: () => ({ running: true, items: [{ dmsgId: '1', status: 'running' }] }), save: () => {} };
+
+  expect(new DispatchQueue({ store }).snapshot().items[0].status).toBe('queued');
+});
+
+test('waits for a dispatch started outside the queue', async () => {
+  const { queue, runners } = createQueue();
+  // Scheduled far ahead, so it holds the page's dispatch slot until cancelled
+  const portalRunner = new DispatchRunner('99', {
+    fetchBatch: jest.fn(),
+    journal: null,
+    storage: null,
+    settings: { schedule: { startAt: Date.now() + 60 * 60 * 1000, window: null } },
+  });
+  const portalRun = portalRunner.start();
+  queue.add(['1']);
+
+  const run = queue.start();
+  await flush();
+  expect(runners).toHaveLength(0);
+  expect(queue.snapshot().waitingFor).toBe('99');
+
+  portalRunner.cancel();
+  await portalRun.catch(() => {});
+  await flush();
+  expect(runners.map((runner) => runner.dmsgId)).toEqual(['1']);
+  expect(queue.snapshot().waitingFor).toBeNull();
+
+  runners[0].finish({ current: 1, total: 1 });
+  await run;
+  expect(statuses(queue)).toEqual(['1:completed']);
+});
+
+test('stops while waiting for another dispatch', async () => {
+  const { queue, runners } = createQueue();
+  const portalRunner = new DispatchRunner('99', {
+    fetchBatch: jest.fn(),
+    journal: null,
+    storage: null,
+    settings: { schedule: { startAt: Date.now() + 60 * 60 * 1000, window: null } },
+  });
+  const portalRun = portalRunner.start();
+  queue.add(['1']);
+
+  const run = queue.start();
+  await flush();
+  queue.stop();
+  await run;
+
+  expect(runners).toHaveLength(0);
+  expect(statuses(queue)).toEqual(['1:queued']);
+  portalRunner.cancel();
+  await portalRun.catch(() => {});
+});
@@ -0,0 +1,704 @@
+// src/services/dispatchRunner.js
+// The dispatch engine: streams the batch a page at a time, sends each
+// message at the pace the adaptive rate limiter allows, retries failures and
+// reports the count to kingslist.pro. Only the page being sent (and anyone
+// deferred to their sending hours) is kept in memory: the journal tells
+// which recipients already came up on an earlier page. Framework-independent;
+// React pages subscribe to its events.
+//
+// Events:
+//   state    "idle" | "scheduled" | "loading" | "running" | "waiting" | "paused" |
+//            "refreshing" | "completed" | "cancelled" | "error"
+//   scheduled { startAt } waiting for settings.schedule.startAt
+//   waiting  { until } every queued recipient is outside the sending hours
+//   progress { total, current, success, failed, unknown, invalid, retried,
+//              attempts, inFlight, rateLimited, perMinute }
+//   sent     { message, attempt }
+//   failed   { message, attempt, error, willRetry } error is a
+//            SendMessageError (kingschat.js); its category decides whether
+//            the recipient is retried, and transient errors (no response,
+//            KingsChat unavailable) get maxTransientRetries rather than
+//            maxRetries
+//   unknown  { message, attempt, error } the send may or may not have been
+//            delivered; the recipient is not retried (see dispatchJournal.js)
+//   invalid  { message, missing } the template needs fields this recipient's
+//            row leaves empty; not sent, counted as failed
+//   throttled { message, pauseMs, perMinute } KingsChat rate-limited a send;
+//            it is retried after the pause without using up a retry
+//   done     { progress, cancelled }
+//   error    Error (fetching the batch, a malformed template (TemplateError)
+//            or reporting the count failed), or AuthExpiredError when
+//            KingsChat refused the access token and no new one could be had;
+//            the recipient it happened on stays pending for the next run
+//   reconcile { journalCount, serverCount, ... } when the journal and the
+//            server's dispatch_count disagree (see dispatchJournal.js)
+//
+// When KingsChat refuses the access token mid-run the runner goes
+// "refreshing", gets a new token through recoverAuth (by default
+// recoverSession in sessionManager.js) and carries on from the same
+// recipient. The refused sends don't count as attempts. A session cleared
+// mid-run (a logout in another tab) is recovered the same way.
+//
+// Each outcome is written to a DispatchJournal before the next message goes
+// out, so a run started again after a crash only sends to pending recipients.
+//
+// With settings.retryFailed the run only sends to the recipients the journal
+// has as failed or unknown, with messages rendered from the current batch.
+// Everyone the journal already has settled still counts, so the
+// dispatch_count reported afterwards covers the original run and the rerun.
+import { EventEmitter } from "./eventEmitter";
+import { SendErrorCategory, SendMessageError, sendMessage as kingschatSendMessage } from "./kingschat";
+import { fetchDispatchBatch, prepareMessagesForDispatch, streamDispatchPages } from "./dispatchService";
+import { updateDispatchCount } from "./apiClient";
+import { getSession } from "./sessionStore";
+import { DispatchJournal, RecipientStatus } from "./dispatchJournal";
+import { AdaptiveRateLimiter } from "./rateLimiter";
+import { msUntilWindowOpens, recipientTimeZone } from "./dispatchSchedule";
+import { AuthExpiredError } from "./apiErrors";
+import { recoverSession } from "./sessionManager";
+
+export const MAX_CONCURRENCY = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_DISPATCH_SETTINGS = {
+  concurrency: 1,         // Sends in flight at once (1 to MAX_CONCURRENCY)
+  maxRetries: 1,          // Retries per recipient after the first attempt
+  maxTransientRetries: 3, // The same after a network error or 408/502/503/504
+  maxThrottleRetries: 10, // Rate-limited sends of one recipient before giving up
+  rateLimit: {},          // Overrides for DEFAULT_RATE_LIMIT (rateLimiter.js)
+  pageSize: 500,          // Recipients per getDispatchBatch.php page
+  schedule: null,         // Start time and sending hours (dispatchSchedule.js)
+  retryFailed: false,     // Only send to failed and unknown recipients (needs the journal)
+};
+
+// Looked up at call time so Jest fake timers apply.
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+const defaultStorage = () => {
+  try {
+    return window.sessionStorage;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const dispatchStatusKey = (dmsgId) => `dispatch_status_${dmsgId}`;
+export const dispatchAnalyticsKey = (dmsgId) => `dispatch_analytics_${dmsgId}`;
+
+// Summary saved by the last run of this dispatch in this tab, if any.
+export const loadDispatchAnalytics = (dmsgId, storage = defaultStorage()) => {
+  try {
+    return JSON.parse(storage?.getItem(dispatchAnalyticsKey(dmsgId)) || "null");
+  } catch (e) {
+    return null;
+  }
+};
+
+// The runner going in this page, whoever started it (the portal or the
+// queue). Only one at a time: a double click or a second mount must not send
+// the same batch twice, and two batches at once would each keep their own
+// pace and together go over the rate KingsChat allows.
+let activeRunner = null;
+const idleWaiters = new Set();
+
+export const getActiveDispatch = () => activeRunner;
+
+// Resolves once no dispatch is running in this page.
+export const whenDispatchIdle = () => (activeRunner
+  ? new Promise((resolve) => idleWaiters.add(resolve))
+  : Promise.resolve());
+
+class CancelledError extends Error {
+  constructor() {
+    super("Dispatch cancelled");
+    this.name = "CancelledError";
+  }
+}
+
+export class DispatchRunner extends EventEmitter {
+  constructor(dmsgId, {
+    sendMessage = kingschatSendMessage,
+    fetchBatch = fetchDispatchBatch,
+    reportStatus = updateDispatchCount,
+    getAccessToken = () => getSession()?.accessToken,
+    // Resolves once getAccessToken has a token KingsChat may accept
+    recoverAuth = () => recoverSession(),
+    clock = systemClock,
+    storage = defaultStorage(),
+    // Pass null to run without a journal
+    journal = new DispatchJournal(dmsgId),
+    settings = {},
+  } = {}) {
+    super();
+    this.dmsgId = dmsgId;
+    this.sendMessage = sendMessage;
+    this.fetchBatch = fetchBatch;
+    this.reportStatus = reportStatus;
+    this.getAccessToken = getAccessToken;
+    this.recoverAuth = recoverAuth;
+    this.clock = clock;
+    this.storage = storage;
+    this.journal = journal;
+    this.settings = { ...DEFAULT_DISPATCH_SETTINGS, ...settings };
+    this.concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, Math.round(this.settings.concurrency) || 1));
+    this.limiter = new AdaptiveRateLimiter(this.settings.rateLimit, { now: () => clock.now() });
+
+    this.state = "idle";
+    // Recipients of the page being sent
+    this.messages = [];
+    // Recipients admitted so far. Without a journal to ask, a kc_id repeated
+    // on a later page can only be caught by remembering every one.
+    this.admitted = 0;
+    this.seen = journal ? null : new Set();
+    this.total = 0;
+    this.counts = { sent: 0, failed: 0, unknown: 0 };
+    this.invalid = 0;
+    this.retried = 0;
+    this.attempts = 0;
+    this.rateLimited = 0;
+    this.cancelled = false;
+    this.inFlight = 0;
+    this.pendingSleeps = new Set();
+    this.resumeGate = null;
+    // Recipients outside their sending hours, carried over to the next page
+    this.deferred = [];
+    this.moreToLoad = false;
+    this.windowWaits = new Map();
+    // kc_ids a retryFailed run sends to; null on a normal run
+    this.retryIds = null;
+    // Set once no new token could be had, so the other workers stop too
+    this.authRefused = false;
+    // The token recovery in progress, shared by every refused worker
+    this.authRecovery = null;
+    // Token from the last recovery until something is sent with it
+    this.recoveredToken = null;
+  }
+
+  get progress() {
+    const { sent: success, failed, unknown } = this.counts;
+    return {
+      total: this.total,
+      current: success + failed + unknown,
+      success,
+      failed,
+      unknown,
+      invalid: this.invalid,
+      retried: this.retried,
+      attempts: this.attempts,
+      inFlight: this.inFlight,
+      rateLimited: this.rateLimited,
+      perMinute: this.limiter.perMinute,
+    };
+  }
+
+  // Runs the dispatch. Resolves with the final progress (also on cancel);
+  // rejects if the batch can't be loaded or the count can't be reported.
+  async start() {
+    if (this.state !== "idle") throw new Error(`Dispatch already ${this.state}`);
+    if (activeRunner) throw new Error(`Dispatch ${activeRunner.dmsgId} is already running`);
+    activeRunner = this;
+    try {
+      return await this.run();
+    } finally {
+      activeRunner = null;
+      idleWaiters.forEach((resolve) => resolve());
+      idleWaiters.clear();
+    }
+  }
+
+  async run() {
+    this.writeStorage(dispatchStatusKey(this.dmsgId), "in_progress");
+
+    try {
+      await this.waitForStart();
+      this.setState("loading");
+      await this.journal?.load();
+      if (this.settings.retryFailed) await this.selectRetries();
+      const pages = streamDispatchPages(this.dmsgId, {
+        pageSize: this.settings.pageSize,
+        fetchPage: this.fetchBatch,
+      });
+      let firstPage = true;
+      for await (const page of pages) {
+        this.checkCancelled();
+        await this.admitPage(page, firstPage);
+        this.emitProgress();
+        if (firstPage) this.setState("running");
+
+        this.moreToLoad = Boolean(page.next_cursor);
+        await this.sendAll();
+        this.messages = [];
+        if (page.next_cursor) await this.reportProgress();
+        firstPage = false;
+      }
+    } catch (error) {
+      if (!(error instanceof CancelledError)) this.fail(error);
+    }
+
+    try {
+      return await this.finish(this.cancelled);
+    } catch (error) {
+      this.fail(error);
+    }
+  }
+
+  pause() {
+    if (this.state !== "running") return;
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    // Nobody may be waiting on it when a cancel rejects it
+    promise.catch(() => {});
+    this.resumeGate = { promise, resolve, reject };
+    this.setState("paused");
+  }
+
+  resume() {
+    if (this.state !== "paused") return;
+    this.setState("running");
+    this.resumeGate?.resolve();
+    this.resumeGate = null;
+  }
+
+  // Stops once the sends already in flight have finished; the count so far
+  // is still reported.
+  cancel() {
+    if (!["scheduled", "loading", "running", "waiting", "paused", "refreshing"].includes(this.state)) return;
+    this.cancelled = true;
+    this.pendingSleeps.forEach((sleep) => sleep.reject(new CancelledError()));
+    this.resumeGate?.reject(new CancelledError());
+  }
+
+  // ── Internals ──
+
+  async selectRetries() {
+    if (!this.journal) throw new Error("Retrying failed recipients needs the dispatch journal");
+    this.retryIds = new Set(await this.journal.failedRecipients());
+    if (this.retryIds.size === 0) throw new Error("No failed recipients to retry");
+  }
+
+  // Prepares a page: drops recipients seen on earlier pages, marks those
+  // handled by an earlier run and registers the rest in the journal.
+  async admitPage(page, firstPage) {
+    let messages = prepareMessagesForDispatch(page);
+    if (this.journal) {
+      const fresh = new Set(await this.journal.track(messages.map((msg) => ({
+        kcId: msg.kc_id,
+        username: msg.username,
+        fullname: msg.fullname,
+      }))));
+      messages = messages.filter((msg) => fresh.has(msg.kc_id));
+    } else {
+      messages = messages.filter((msg) => !this.seen.has(msg.kc_id));
+      messages.forEach((msg) => this.seen.add(msg.kc_id));
+    }
+    this.admitted += messages.length;
+
+    const serverTotal = Number(page.total);
+    // page.total is optional; without it total grows page by page
+    this.total = firstPage && page.total !== undefined && !Number.isNaN(serverTotal)
+      ? Math.max(serverTotal, messages.length)
+      : Math.max(this.total, this.admitted);
+    this.messages = messages;
+    if (this.journal) {
+      // The server's count still includes the recipients being retried
+      const dispatchCount = firstPage && !this.retryIds ? page.dispatch_count : undefined;
+      this.restoreFromJournal(messages, dispatchCount);
+    }
+    if (this.retryIds) {
+      // Recipients still pending from elsewhere are left for a normal run
+      this.messages = messages.filter((msg) => msg.processed || this.retryIds.has(msg.kc_id));
+    }
+    this.rejectIncomplete(this.messages);
+  }
+
+  // Marks recipients handled by an earlier run. dispatchCount is the
+  // server's count to reconcile with, if there is one.
+  restoreFromJournal(messages, dispatchCount) {
+    messages.forEach((msg) => {
+      const entry = this.journal.get(msg.kc_id);
+      if (!entry || entry.attempts === 0) return;
+      // Failed and unknown recipients of a retryFailed run are pending for
+      // this run only; the journal keeps their status until a send is
+      // recorded
+      const pending = entry.status === RecipientStatus.PENDING || Boolean(this.retryIds?.has(msg.kc_id));
+      this.attempts += entry.attempts;
+      if (entry.attempts > 1 || pending) this.retried += 1;
+      if (entry.status === RecipientStatus.IN_FLIGHT) {
+        // The page died mid-send: we can't tell whether it arrived.
+        msg.retries = entry.attempts - 1;
+        this.settle(msg, RecipientStatus.UNKNOWN);
+        this.journal.record(msg.kc_id, { ...entry, status: RecipientStatus.UNKNOWN });
+      } else if (pending) {
+        // Failed before and still has retries left, or is being retried
+        msg.retries = entry.attempts;
+      } else {
+        msg.retries = entry.attempts - 1;
+        this.settle(msg, entry.status);
+      }
+    });
+
+    const serverCount = Number(dispatchCount);
+    if (dispatchCount !== undefined && !Number.isNaN(serverCount)) {
+      const result = this.journal.reconcile(serverCount);
+      if (!result.inSync) {
+        console.warn("[dispatch] Journal and server dispatch_count differ:", result);
+        this.emit("reconcile", result);
+      }
+    }
+  }
+
+  // Fails pending recipients whose row lacks a field the template needs,
+  // rather than sending them a message with a gap in it.
+  rejectIncomplete(messages) {
+    messages.forEach((msg) => {
+      if (msg.status !== RecipientStatus.PENDING || !msg.missingFields?.length) return;
+      this.invalid += 1;
+      this.settle(msg, RecipientStatus.FAILED);
+      const error = `Missing ${msg.missingFields.join(", ")}`;
+      console.warn(`[dispatch] Not sending to ${msg.kc_id}: ${error}`);
+      this.journal?.record(msg.kc_id, { status: RecipientStatus.FAILED, attempts: msg.retries, error });
+      this.emit("invalid", { message: msg, missing: msg.missingFields });
+    });
+  }
+
+  // Marks a recipient as done with status sent, failed or unknown.
+  settle(msg, status) {
+    msg.status = status;
+    msg.processed = true;
+    this.counts[status] += 1;
+  }
+
+  // Runs up to settings.concurrency workers over one shared queue. A
+  // recipient is only ever in the queue once, so its retries always follow
+  // the attempt before them.
+  async sendAll() {
+    const queue = [...this.deferred, ...this.messages.filter((msg) => msg.status === "pending")];
+    const workers = Array.from({ length: this.concurrency }, () => this.runWorker(queue));
+    const results = await Promise.allSettled(workers);
+    this.deferred = queue;
+    const failure = results.find((result) => result.status === "rejected");
+    if (failure) throw failure.reason;
+  }
+
+  async runWorker(queue) {
+    while (queue.length > 0 && !this.authRefused) {
+      const index = queue.findIndex((msg) => this.windowWait(msg) === 0);
+      if (index === -1) {
+        // Nobody here may be messaged yet. Move on to the next page while
+        // that keeps memory bounded, otherwise wait for a window to open.
+        if (this.moreToLoad && queue.length <= this.settings.pageSize) return;
+        await this.waitForWindow(queue);
+        continue;
+      }
+      const [msg] = queue.splice(index, 1);
+      try {
+        await this.sleep(this.limiter.reserve());
+        // Another worker was throttled while we slept: queue up again
+        // behind the pause rather than all firing when it ends
+        while (this.limiter.blockedFor() > 0) {
+          await this.sleep(this.limiter.reserve());
+        }
+        await this.waitWhilePaused();
+        if (this.authRecovery) await this.waitFor(this.authRecovery);
+      } catch (error) {
+        // Cancelled, or no new login: put it back so nothing looks dropped
+        queue.unshift(msg);
+        throw error;
+      }
+      if (this.authRefused || this.windowWait(msg) > 0) {
+        // The window closed (or the login was refused) while we waited
+        queue.unshift(msg);
+        continue;
+      }
+      await this.sendOne(msg, queue);
+    }
+  }
+
+  // ── Scheduling ──
+
+  async waitForStart() {
+    const startAt = this.settings.schedule?.startAt;
+    if (!startAt || startAt <= this.clock.now()) return;
+    this.setState("scheduled");
+    this.emit("scheduled", { startAt });
+    // setTimeout can't wait more than ~24.8 days in one go
+    while (startAt > this.clock.now()) {
+      await this.sleep(Math.min(startAt - this.clock.now(), DAY_MS));
+    }
+  }
+
+  // ms until msg's sending hours open; 0 if it may be sent now. Cached per
+  // timezone for the current second, as the queue is scanned before every
+  // send.
+  windowWait(msg) {
+    const schedule = this.settings.schedule;
+    if (!schedule?.window) return 0;
+    const timeZone = recipientTimeZone(msg, schedule);
+    const second = Math.floor(this.clock.now() / 1000);
+    const cached = this.windowWaits.get(timeZone);
+    if (cached?.second === second) return cached.wait;
+    const wait = msUntilWindowOpens(schedule.window, this.clock.now(), timeZone);
+    this.windowWaits.set(timeZone, { second, wait });
+    return wait;
+  }
+
+  async waitForWindow(queue) {
+    const wait = Math.min(...queue.map((msg) => this.windowWait(msg)));
+    if (this.state === "running") {
+      this.setState("waiting");
+      this.emit("waiting", { until: this.clock.now() + wait });
+    }
+    await this.sleep(wait);
+    if (this.state === "waiting") this.setState("running");
+  }
+
+  async sendOne(msg, queue) {
+    const { maxRetries, maxTransientRetries, maxThrottleRetries } = this.settings;
+    const attempt = msg.retries + 1;
+    const token = this.getAccessToken();
+    if (!token) {
+      // Logged out mid-run (in another tab, say): nothing went out, so get
+      // a login back the same way as for a refused token
+      queue.unshift(msg);
+      await this.recoverLogin(token, new SendMessageError("No access token", {
+        category: SendErrorCategory.AUTH,
+        status: 401,
+      }));
+      return;
+    }
+    this.attempts += 1;
+    this.inFlight += 1;
+    this.emitProgress();
+
+    // Recorded before the send, so a crash leaves a trace of it
+    await this.journal?.record(msg.kc_id, { status: RecipientStatus.IN_FLIGHT, attempts: attempt });
+
+    try {
+      await this.sendMessage(token, msg.kc_id, msg.body);
+      this.inFlight -= 1;
+      this.recoveredToken = null;
+      this.limiter.onSuccess();
+      this.settle(msg, RecipientStatus.SENT);
+      await this.journal?.record(msg.kc_id, { status: RecipientStatus.SENT, attempts: attempt });
+      this.emit("sent", { message: msg, attempt });
+    } catch (error) {
+      this.inFlight -= 1;
+      if (error.category === SendErrorCategory.RATE_LIMIT && (msg.throttles || 0) < maxThrottleRetries) {
+        // Not the recipient's fault: same message again, first in line
+        msg.throttles = (msg.throttles || 0) + 1;
+        this.rateLimited += 1;
+        const pauseMs = this.limiter.onThrottle(error.retryAfterMs);
+        console.warn(`[dispatch] Rate limited, pausing ${Math.round(pauseMs / 1000)}s`);
+        await this.journal?.record(msg.kc_id, { status: RecipientStatus.PENDING, attempts: msg.retries });
+        queue.unshift(msg);
+        this.emit("throttled", { message: msg, pauseMs, perMinute: this.limiter.perMinute });
+        this.emitProgress();
+        return;
+      }
+
+      if (error.category === SendErrorCategory.AUTH) {
+        // Nothing went out and it isn't the recipient's fault: undo the
+        // attempt and send to them again with a new token
+        this.attempts -= 1;
+        await this.journal?.record(msg.kc_id, { status: RecipientStatus.PENDING, attempts: msg.retries });
+        queue.unshift(msg);
+        this.emitProgress();
+        await this.recoverLogin(token, error);
+        return;
+      }
+
+      // Only errors that say nothing was delivered are retried
+      if (error.delivery !== "not_sent") {
+        this.settle(msg, RecipientStatus.UNKNOWN);
+        console.warn(`[dispatch] Outcome unknown for ${msg.kc_id}, not retrying:`, error.message);
+        await this.journal?.record(msg.kc_id, {
+          status: RecipientStatus.UNKNOWN,
+          attempts: attempt,
+          error: error.message,
+        });
+        this.emit("unknown", { message: msg, attempt, error });
+        this.emitProgress();
+        return;
+      }
+
+      // A recipient KingsChat refused would only be refused again
+      const retryLimit = error.transient ? maxTransientRetries : maxRetries;
+      const willRetry = error.category !== SendErrorCategory.RECIPIENT && msg.retries < retryLimit;
+      if (willRetry) {
+        if (msg.retries === 0) this.retried += 1;
+        msg.retries += 1;
+        queue.push(msg);
+      } else {
+        this.settle(msg, RecipientStatus.FAILED);
+      }
+      console.warn(`[dispatch] Error sending to ${msg.kc_id}:`, error.message);
+      await this.journal?.record(msg.kc_id, {
+        status: willRetry ? RecipientStatus.PENDING : RecipientStatus.FAILED,
+        attempts: attempt,
+        error: error.message,
+      });
+      this.emit("failed", { message: msg, attempt, error, willRetry });
+    }
+    this.emitProgress();
+  }
+
+  // ── Login recovery ──
+
+  // Waits for a token to replace refusedToken. A token refused again before
+  // anything was sent with it won't be fixed by another refresh: the run
+  // stops with AuthExpiredError.
+  async recoverLogin(refusedToken, error) {
+    if (!this.authRecovery) {
+      // Another worker already got a new one
+      if (refusedToken !== this.getAccessToken()) return;
+      if (refusedToken === this.recoveredToken) {
+        this.authRefused = true;
+        throw new AuthExpiredError(error.status, "KingsChat refused the refreshed login. Please log in again.", { cause: error });
+      }
+      this.authRecovery = this.startAuthRecovery();
+    }
+    await this.waitFor(this.authRecovery);
+  }
+
+  startAuthRecovery() {
+    console.warn("[dispatch] KingsChat refused the access token, getting a new one");
+    if (this.state === "running") this.setState("refreshing");
+    const recovery = Promise.resolve()
+      .then(() => this.recoverAuth())
+      .then(() => {
+        this.recoveredToken = this.getAccessToken();
+      }, (error) => {
+        this.authRefused = true;
+        throw error;
+      })
+      .finally(() => {
+        this.authRecovery = null;
+        if (this.state === "refreshing") this.setState("running");
+      });
+    // Nobody may be waiting on it when it fails after a cancel
+    recovery.catch(() => {});
+    return recovery;
+  }
+
+  reportProgress() {
+    const progress = this.progress;
+    return this.reportStatus({
+      dmsg_id: this.dmsgId,
+      dispatch_count: progress.current,
+      attempts: progress.attempts,
+      // 1 = incomplete (cancelled or still going), 2 = every recipient handled
+      status: progress.current < progress.total ? 1 : 2,
+    }).catch((error) => {
+      // The final report will carry the count
+      console.warn("[dispatch] Progress report failed:", error);
+    });
+  }
+
+  async finish(cancelled) {
+    // Duplicates can make the server's total larger than what was sent
+    if (!cancelled) this.total = this.admitted;
+    const progress = this.progress;
+
+    if (this.total > 0) {
+      await this.reportStatus({
+        dmsg_id: this.dmsgId,
+        dispatch_count: progress.current,
+        attempts: progress.attempts,
+        status: progress.current < progress.total ? 1 : 2,
+      });
+    }
+
+    if (cancelled) {
+      this.storage?.removeItem(dispatchStatusKey(this.dmsgId));
+    } else {
+      this.writeStorage(dispatchStatusKey(this.dmsgId), "completed");
+    }
+    this.writeStorage(dispatchAnalyticsKey(this.dmsgId), JSON.stringify({
+      success: progress.success,
+      failed: progress.failed,
+      unknown: progress.unknown,
+      invalid: progress.invalid,
+      retries: progress.retried,
+      rateLimited: progress.rateLimited,
+      total: progress.total,
+    }));
+
+    this.setState(cancelled ? "cancelled" : "completed");
+    this.emit("done", { progress, cancelled });
+    return progress;
+  }
+
+  sleep(ms) {
+    this.checkCancelled();
+    if (ms <= 0) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const sleep = {
+        reject: (error) => {
+          this.clock.clearTimeout(id);
+          this.pendingSleeps.delete(sleep);
+          reject(error);
+        },
+      };
+      const id = this.clock.setTimeout(() => {
+        this.pendingSleeps.delete(sleep);
+        resolve();
+      }, ms);
+      this.pendingSleeps.add(sleep);
+    });
+  }
+
+  // Waits for promise, or until the run is cancelled.
+  waitFor(promise) {
+    this.checkCancelled();
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        reject: (error) => {
+          this.pendingSleeps.delete(waiter);
+          reject(error);
+        },
+      };
+      this.pendingSleeps.add(waiter);
+      promise.then((value) => {
+        this.pendingSleeps.delete(waiter);
+        resolve(value);
+      }, waiter.reject);
+    });
+  }
+
+  async waitWhilePaused() {
+    this.checkCancelled();
+    if (this.state === "paused") await this.resumeGate.promise;
+  }
+
+  fail(error) {
+    this.setState("error");
+    this.emit("error", error);
+    throw error;
+  }
+
+  checkCancelled() {
+    if (this.cancelled) throw new CancelledError();
+  }
+
+  setState(state) {
+    this.state = state;
+    this.emit("state", state);
+  }
+
+  emitProgress() {
+    this.emit("progress", this.progress);
+  }
+
+  writeStorage(key, value) {
+    try {
+      this.storage?.setItem(key, value);
+    } catch (e) {
+      console.warn("[dispatch] Could not save dispatch state:", e);
+    }
+  }
+}
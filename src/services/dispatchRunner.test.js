@@ -0,0 +1,634 @@
+import { DispatchRunner, dispatchStatusKey, getActiveDispatch, whenDispatchIdle } from './dispatchRunner';
+import { DispatchJournal, createMemoryJournalStore } from './dispatchJournal';
+import { SendErrorCategory, SendMessageError } from './kingschat';
+import { AuthExpiredError } from './apiErrors';
+
+const recipients = (count) => ({
+  messages: Array.from({ length: count }, (_, i) => ({
+    kc_id: `user-${i}`,
+    username: `user${i}`,
+    fullname: `User ${i}`,
+    body: 'Hi <fullname>',
+  })),
+});
+
+const createRunner = ({
+  batch = recipients(3),
+  sendMessage = jest.fn().mockResolvedValue({}),
+  journal = new DispatchJournal('42', { store: createMemoryJournalStore() }),
+  getAccessToken = () => 'token',
+  recoverAuth,
+  settings,
+} = {}) => {
+  const reportStatus = jest.fn().mockResolvedValue({ success: true });
+  const runner = new DispatchRunner('42', {
+    sendMessage,
+    fetchBatch: jest.fn().mockResolvedValue(batch),
+    reportStatus,
+    getAccessToken,
+    recoverAuth,
+    storage: window.sessionStorage,
+    journal,
+    // One message every 100ms, no ramp-up unless a test asks for it
+    settings: { rateLimit: { initialRate: 10, maxRate: 10, burst: 1 }, ...settings },
+  });
+  return { runner, sendMessage, reportStatus };
+};
+
+const notSent = () => new SendMessageError('error', { category: SendErrorCategory.SERVER, status: 503 });
+
+// Lets pending promise callbacks run, then moves the fake clock on.
+const advance = async (ms) => {
+  for (let i = 0; i < 50; i++) await Promise.resolve();
+  jest.advanceTimersByTime(ms);
+  for (let i = 0; i < 50; i++) await Promise.resolve();
+};
+
+const runToEnd = async (promise) => {
+  let settled = false;
+  promise.finally(() => { settled = true; }).catch(() => {});
+  for (let i = 0; i < 100 && !settled; i++) await advance(100);
+  return promise;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  sessionStorage.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('sends every message with placeholders filled and reports the count', async () => {
+  const { runner, sendMessage, reportStatus } = createRunner();
+  const progress = jest.fn();
+  runner.on('progress', progress);
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage).toHaveBeenCalledTimes(3);
+  expect(sendMessage).toHaveBeenCalledWith('token', 'user-0', 'Hi User 0');
+  expect(result).toMatchObject({ total: 3, current: 3, success: 3, failed: 0, attempts: 3 });
+  expect(progress).toHaveBeenLastCalledWith(expect.objectContaining({ success: 3 }));
+  expect(reportStatus).toHaveBeenCalledWith({ dmsg_id: '42', dispatch_count: 3, attempts: 3, status: 2 });
+  expect(sessionStorage.getItem(dispatchStatusKey('42'))).toBe('completed');
+});
+
+test('paces sends with the rate limiter', async () => {
+  const { runner, sendMessage } = createRunner();
+  const run = runner.start();
+
+  await advance(0);
+  expect(sendMessage).toHaveBeenCalledTimes(1);
+  await advance(50);
+  expect(sendMessage).toHaveBeenCalledTimes(1);
+  await advance(50);
+  expect(sendMessage).toHaveBeenCalledTimes(2);
+
+  await runToEnd(run);
+  expect(sendMessage).toHaveBeenCalledTimes(3);
+});
+
+test('backs off for Retry-After when throttled, without using a retry', async () => {
+  let throttled = false;
+  const sendMessage = jest.fn((token, kcId) => {
+    if (kcId === 'user-1' && !throttled) {
+      throttled = true;
+      return Promise.reject(new SendMessageError('rate limited', {
+        category: SendErrorCategory.RATE_LIMIT,
+        status: 429,
+        retryAfterMs: 2000,
+      }));
+    }
+    return Promise.resolve({});
+  });
+  const { runner } = createRunner({ sendMessage, settings: { maxRetries: 0 } });
+  const onThrottled = jest.fn();
+  runner.on('throttled', onThrottled);
+  const run = runner.start();
+
+  await advance(100);
+  expect(sendMessage).toHaveBeenCalledTimes(2);
+  expect(onThrottled).toHaveBeenCalledWith(expect.objectContaining({ pauseMs: 2000, perMinute: 300 }));
+
+  await advance(1900);
+  expect(sendMessage).toHaveBeenCalledTimes(2);
+  await advance(300);
+  expect(sendMessage.mock.calls[2][1]).toBe('user-1');
+
+  const result = await runToEnd(run);
+  expect(result).toMatchObject({ success: 3, failed: 0, rateLimited: 1 });
+});
+
+test('retries a failed recipient once and then gives up', async () => {
+  const sendMessage = jest.fn((token, kcId) => (
+    kcId === 'user-1'
+      ? Promise.reject(new SendMessageError('error', { category: SendErrorCategory.SERVER, status: 500 }))
+      : Promise.resolve({})
+  ));
+  const { runner, reportStatus } = createRunner({ sendMessage });
+  const failed = jest.fn();
+  runner.on('failed', failed);
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.filter(([, kcId]) => kcId === 'user-1')).toHaveLength(2);
+  expect(failed.mock.calls.map(([event]) => event.willRetry)).toEqual([true, false]);
+  expect(result).toMatchObject({ success: 2, failed: 1, retried: 1, attempts: 4 });
+  expect(reportStatus).toHaveBeenCalledWith(expect.objectContaining({ dispatch_count: 3, attempts: 4 }));
+});
+
+test('retries an unavailable KingsChat up to maxTransientRetries times', async () => {
+  const sendMessage = jest.fn((token, kcId) => (
+    kcId === 'user-1' ? Promise.reject(notSent()) : Promise.resolve({})
+  ));
+  const journal = new DispatchJournal('42', { store: createMemoryJournalStore() });
+  const { runner } = createRunner({ sendMessage, journal });
+  const failed = jest.fn();
+  runner.on('failed', failed);
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.filter(([, kcId]) => kcId === 'user-1')).toHaveLength(4);
+  expect(failed.mock.calls.map(([event]) => event.willRetry)).toEqual([true, true, true, false]);
+  expect(result).toMatchObject({ success: 2, failed: 1, unknown: 0, retried: 1, attempts: 6 });
+  expect(journal.get('user-1')).toMatchObject({ status: 'failed', attempts: 4 });
+});
+
+test('retries a send that got no response', async () => {
+  let dropped = false;
+  const sendMessage = jest.fn((token, kcId) => {
+    if (kcId === 'user-1' && !dropped) {
+      dropped = true;
+      return Promise.reject(new SendMessageError('Failed to send message: Failed to fetch', {
+        category: SendErrorCategory.NETWORK,
+      }));
+    }
+    return Promise.resolve({});
+  });
+  const { runner } = createRunner({ sendMessage, settings: { maxRetries: 0 } });
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.filter(([, kcId]) => kcId === 'user-1')).toHaveLength(2);
+  expect(result).toMatchObject({ success: 3, failed: 0, unknown: 0, retried: 1 });
+});
+
+test('does not retry a recipient KingsChat refused', async () => {
+  const sendMessage = jest.fn((token, kcId) => (kcId === 'user-1'
+    ? Promise.reject(new SendMessageError('blocked', { category: SendErrorCategory.RECIPIENT, status: 403 }))
+    : Promise.resolve({})));
+  const journal = new DispatchJournal('42', { store: createMemoryJournalStore() });
+  const { runner } = createRunner({ sendMessage, journal });
+  const failed = jest.fn();
+  runner.on('failed', failed);
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.filter(([, kcId]) => kcId === 'user-1')).toHaveLength(1);
+  expect(failed).toHaveBeenCalledWith(expect.objectContaining({ willRetry: false }));
+  expect(result).toMatchObject({ success: 2, failed: 1, retried: 0 });
+  expect(journal.get('user-1')).toMatchObject({ status: 'failed', attempts: 1, error: 'blocked' });
+});
+
+const refused = () => new SendMessageError('unauthorized', { category: SendErrorCategory.AUTH, status: 401 });
+
+test('gets a new token when KingsChat refuses one and carries on from the same recipient', async () => {
+  let token = 'old';
+  const sendMessage = jest.fn((usedToken) => (usedToken === 'old' ? Promise.reject(refused()) : Promise.resolve({})));
+  const recoverAuth = jest.fn(async () => { token = 'new'; });
+  const journal = new DispatchJournal('42', { store: createMemoryJournalStore() });
+  const { runner, reportStatus } = createRunner({ sendMessage, journal, recoverAuth, getAccessToken: () => token });
+  const states = [];
+  runner.on('state', (state) => states.push(state));
+  const failed = jest.fn();
+  runner.on('failed', failed);
+
+  const result = await runToEnd(runner.start());
+
+  expect(recoverAuth).toHaveBeenCalledTimes(1);
+  expect(sendMessage.mock.calls.map(([usedToken, kcId]) => `${usedToken}:${kcId}`))
+    .toEqual(['old:user-0', 'new:user-0', 'new:user-1', 'new:user-2']);
+  expect(states).toEqual(['loading', 'running', 'refreshing', 'running', 'completed']);
+  expect(failed).not.toHaveBeenCalled();
+  expect(result).toMatchObject({ success: 3, failed: 0, retried: 0, attempts: 3 });
+  expect(journal.get('user-0')).toMatchObject({ status: 'sent', attempts: 1 });
+  expect(reportStatus).toHaveBeenCalledWith(expect.objectContaining({ dispatch_count: 3, attempts: 3, status: 2 }));
+});
+
+test('gets a login back when the session is cleared mid-run', async () => {
+  let token = 'token';
+  const sendMessage = jest.fn(async (usedToken, kcId) => {
+    if (kcId === 'user-0') token = undefined;
+    return {};
+  });
+  const recoverAuth = jest.fn(async () => { token = 'new'; });
+  const journal = new DispatchJournal('42', { store: createMemoryJournalStore() });
+  const { runner } = createRunner({ sendMessage, journal, recoverAuth, getAccessToken: () => token });
+
+  const result = await runToEnd(runner.start());
+
+  expect(recoverAuth).toHaveBeenCalledTimes(1);
+  expect(sendMessage.mock.calls.map(([usedToken, kcId]) => `${usedToken}:${kcId}`))
+    .toEqual(['token:user-0', 'new:user-1', 'new:user-2']);
+  expect(result).toMatchObject({ success: 3, failed: 0, unknown: 0, attempts: 3 });
+  expect(journal.get('user-1')).toMatchObject({ status: 'sent', attempts: 1 });
+});
+
+test('stops when the refreshed token is refused too', async () => {
+  let token = 'old';
+  const sendMessage = jest.fn().mockRejectedValue(refused());
+  const recoverAuth = jest.fn(async () => { token = 'new'; });
+  const { runner } = createRunner({ sendMessage, recoverAuth, getAccessToken: () => token });
+  runner.on('error', () => {});
+
+  await expect(runToEnd(runner.start())).rejects.toThrow('KingsChat refused the refreshed login');
+  expect(recoverAuth).toHaveBeenCalledTimes(1);
+  expect(sendMessage).toHaveBeenCalledTimes(2);
+  expect(runner.progress).toMatchObject({ failed: 0, attempts: 0 });
+});
+
+test('stops when no new token can be had, keeping the recipient pending', async () => {
+  const sendMessage = jest.fn((token, kcId) => (kcId === 'user-1' ? Promise.reject(refused()) : Promise.resolve({})));
+  const journal = new DispatchJournal('42', { store: createMemoryJournalStore() });
+  const recoverAuth = jest.fn().mockRejectedValue(new AuthExpiredError(401));
+  const { runner, reportStatus } = createRunner({ sendMessage, journal, recoverAuth });
+  runner.on('error', () => {});
+
+  await expect(runToEnd(runner.start())).rejects.toBeInstanceOf(AuthExpiredError);
+
+  expect(sendMessage.mock.calls.map(([, kcId]) => kcId)).toEqual(['user-0', 'user-1']);
+  expect(runner.state).toBe('error');
+  expect(runner.progress).toMatchObject({ success: 1, failed: 0 });
+  expect(journal.get('user-1')).toMatchObject({ status: 'pending', attempts: 0 });
+  expect(reportStatus).not.toHaveBeenCalled();
+});
+
+test('pauses, resumes and cancels between messages', async () => {
+  const { runner, sendMessage, reportStatus } = createRunner({ batch: recipients(5) });
+  const done = jest.fn();
+  runner.on('done', done);
+  const run = runner.start();
+
+  await advance(0);
+  runner.pause();
+  await advance(1000);
+  expect(sendMessage).toHaveBeenCalledTimes(1);
+
+  // The held message goes out on resume; the bucket refilled meanwhile
+  runner.resume();
+  await advance(0);
+  expect(sendMessage).toHaveBeenCalledTimes(3);
+
+  runner.cancel();
+  const result = await runToEnd(run);
+
+  expect(sendMessage).toHaveBeenCalledTimes(3);
+  expect(runner.state).toBe('cancelled');
+  expect(done).toHaveBeenCalledWith({ progress: result, cancelled: true });
+  expect(reportStatus).toHaveBeenCalledWith(expect.objectContaining({ dispatch_count: 3, status: 1 }));
+  expect(sessionStorage.getItem(dispatchStatusKey('42'))).toBeNull();
+});
+
+test('rejects and emits error when the batch cannot be loaded', async () => {
+  const runner = new DispatchRunner('42', {
+    fetchBatch: jest.fn().mockRejectedValue(new Error('offline')),
+    reportStatus: jest.fn(),
+    journal: null,
+  });
+  const onError = jest.fn();
+  runner.on('error', onError);
+
+  await expect(runner.start()).rejects.toThrow('offline');
+  expect(onError).toHaveBeenCalled();
+  expect(runner.state).toBe('error');
+});
+
+test('resumes from the journal with only pending recipients', async () => {
+  const store = createMemoryJournalStore();
+  await store.save('42', Object.entries({
+    'user-0': { status: 'sent', attempts: 1 },
+    'user-1': { status: 'pending', attempts: 1 },
+  }));
+  const journal = new DispatchJournal('42', { store });
+  const { runner, sendMessage, reportStatus } = createRunner({
+    batch: { ...recipients(3), dispatch_count: 0 },
+    journal,
+  });
+  const reconcile = jest.fn();
+  runner.on('reconcile', reconcile);
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.map(([, kcId]) => kcId)).toEqual(['user-1', 'user-2']);
+  expect(result).toMatchObject({ success: 3, failed: 0, retried: 1, attempts: 4 });
+  expect(reconcile).toHaveBeenCalledWith(expect.objectContaining({ journalCount: 1, serverCount: 0, unreported: 1 }));
+  expect(reportStatus).toHaveBeenCalledWith(expect.objectContaining({ dispatch_count: 3, attempts: 4, status: 2 }));
+  expect((await store.load('42', ['user-2']))[0]).toMatchObject({ status: 'sent', attempts: 1 });
+});
+
+test('does not retry a send that may have been delivered', async () => {
+  const sendMessage = jest.fn((token, kcId) => (
+    kcId === 'user-1' ? Promise.reject(new Error('Failed to fetch')) : Promise.resolve({})
+  ));
+  const journal = new DispatchJournal('42', { store: createMemoryJournalStore() });
+  const { runner, reportStatus } = createRunner({ sendMessage, journal });
+  const unknown = jest.fn();
+  runner.on('unknown', unknown);
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.filter(([, kcId]) => kcId === 'user-1')).toHaveLength(1);
+  expect(unknown).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1 }));
+  expect(result).toMatchObject({ success: 2, failed: 0, unknown: 1, current: 3 });
+  expect(journal.get('user-1')).toMatchObject({ status: 'unknown', attempts: 1 });
+  expect(reportStatus).toHaveBeenCalledWith(expect.objectContaining({ dispatch_count: 3, status: 2 }));
+});
+
+test('retries only failed and unknown recipients and reports the cumulative count', async () => {
+  const store = createMemoryJournalStore();
+  await store.save('42', Object.entries({
+    'user-0': { status: 'sent', attempts: 1 },
+    'user-1': { status: 'failed', attempts: 2, error: 'error' },
+    'user-2': { status: 'unknown', attempts: 1 },
+    'user-3': { status: 'sent', attempts: 1 },
+  }));
+  const journal = new DispatchJournal('42', { store });
+  const { runner, sendMessage, reportStatus } = createRunner({
+    batch: { ...recipients(5), dispatch_count: 4 },
+    journal,
+    settings: { retryFailed: true },
+  });
+  const reconcile = jest.fn();
+  runner.on('reconcile', reconcile);
+
+  const result = await runToEnd(runner.start());
+
+  // user-4 was never part of the earlier run
+  expect(sendMessage.mock.calls.map(([, kcId, body]) => [kcId, body])).toEqual([
+    ['user-1', 'Hi User 1'],
+    ['user-2', 'Hi User 2'],
+  ]);
+  expect(result).toMatchObject({ success: 4, failed: 0, unknown: 0, current: 4, total: 5 });
+  expect(reconcile).not.toHaveBeenCalled();
+  expect(reportStatus).toHaveBeenCalledTimes(1);
+  expect(reportStatus).toHaveBeenCalledWith(expect.objectContaining({ dispatch_count: 4, status: 1 }));
+  expect(journal.get('user-1')).toMatchObject({ status: 'sent', attempts: 3 });
+  expect(journal.get('user-4')).toMatchObject({ status: 'pending', attempts: 0 });
+});
+
+test('leaves failed recipients alone when a retry run cannot load the batch', async () => {
+  const store = createMemoryJournalStore();
+  await store.save('42', Object.entries({
+    'user-0': { status: 'sent', attempts: 1 },
+    'user-1': { status: 'failed', attempts: 2, error: 'error' },
+    'user-2': { status: 'unknown', attempts: 1 },
+  }));
+  const retry = new DispatchRunner('42', {
+    fetchBatch: jest.fn().mockRejectedValue(new Error('offline')),
+    reportStatus: jest.fn(),
+    journal: new DispatchJournal('42', { store }),
+    settings: { retryFailed: true },
+  });
+  retry.on('error', () => {});
+  await expect(runToEnd(retry.start())).rejects.toThrow('offline');
+
+  const [user1, user2] = await store.load('42', ['user-1', 'user-2']);
+  expect(user1).toMatchObject({ status: 'failed', attempts: 2 });
+  expect(user2).toMatchObject({ status: 'unknown', attempts: 1 });
+
+  // A plain resume only sends to recipients nobody tried yet
+  const { runner, sendMessage } = createRunner({ journal: new DispatchJournal('42', { store }) });
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage).not.toHaveBeenCalled();
+  expect(result).toMatchObject({ success: 1, failed: 1, unknown: 1 });
+});
+
+test('refuses a retry run when nobody failed', async () => {
+  const { runner, sendMessage, reportStatus } = createRunner({ settings: { retryFailed: true } });
+  runner.on('error', () => {});
+
+  await expect(runToEnd(runner.start())).rejects.toThrow('No failed recipients to retry');
+  expect(sendMessage).not.toHaveBeenCalled();
+  expect(reportStatus).not.toHaveBeenCalled();
+});
+
+test('treats a send interrupted by a crash as unknown', async () => {
+  const store = createMemoryJournalStore();
+  await store.save('42', [['user-0', { status: 'in_flight', attempts: 1 }]]);
+  const journal = new DispatchJournal('42', { store });
+  const { runner, sendMessage } = createRunner({ journal });
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.map(([, kcId]) => kcId)).toEqual(['user-1', 'user-2']);
+  expect(result).toMatchObject({ success: 2, unknown: 1 });
+  expect(journal.get('user-0').status).toBe('unknown');
+});
+
+test('messages a recipient listed twice only once', async () => {
+  const batch = recipients(2);
+  batch.messages.push({ ...batch.messages[0], kc_id: ' user-0 ' });
+  const { runner, sendMessage } = createRunner({ batch });
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.map(([, kcId]) => kcId)).toEqual(['user-0', 'user-1']);
+  expect(result.total).toBe(2);
+});
+
+test('skips recipients the preview would list as invalid', async () => {
+  const batch = recipients(2);
+  batch.messages.push({ ...batch.messages[0], kc_id: 'bad/id' }, { ...batch.messages[0], kc_id: '' });
+  const { runner, sendMessage } = createRunner({ batch });
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.map(([, kcId]) => kcId)).toEqual(['user-0', 'user-1']);
+  expect(result.total).toBe(2);
+});
+
+test('refuses a second runner for the same dispatch', async () => {
+  const first = createRunner().runner;
+  const second = createRunner().runner;
+
+  const run = first.start();
+  await expect(second.start()).rejects.toThrow('already running');
+  await runToEnd(run);
+});
+
+test('runs one dispatch at a time in the page', async () => {
+  const first = createRunner().runner;
+  const other = new DispatchRunner('43', { fetchBatch: jest.fn(), journal: null });
+  const idle = jest.fn();
+
+  const run = first.start();
+  expect(getActiveDispatch()).toBe(first);
+  whenDispatchIdle().then(idle);
+  await expect(other.start()).rejects.toThrow('Dispatch 42 is already running');
+  await runToEnd(run);
+
+  expect(getActiveDispatch()).toBeNull();
+  expect(idle).toHaveBeenCalled();
+});
+
+test('keeps up to the configured number of sends in flight', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const attemptsFor = {};
+  const sendMessage = jest.fn((token, kcId) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    attemptsFor[kcId] = (attemptsFor[kcId] || 0) + 1;
+    const firstTry = attemptsFor[kcId] === 1;
+    return new Promise((resolve, reject) => setTimeout(() => {
+      inFlight -= 1;
+      // user-2 fails once; its retry must start after this attempt ends
+      if (kcId === 'user-2' && firstTry) reject(notSent());
+      else resolve({});
+    }, 1000));
+  });
+  const { runner } = createRunner({ batch: recipients(8), sendMessage, settings: { concurrency: 3 } });
+  const progress = [];
+  runner.on('progress', (p) => progress.push(p.inFlight));
+
+  const result = await runToEnd(runner.start());
+
+  expect(maxInFlight).toBe(3);
+  expect(Math.max(...progress)).toBe(3);
+  expect(attemptsFor['user-2']).toBe(2);
+  expect(result).toMatchObject({ success: 8, failed: 0, inFlight: 0, attempts: 9 });
+});
+
+test('clamps concurrency to the supported range', () => {
+  expect(createRunner({ settings: { concurrency: 50 } }).runner.concurrency).toBe(8);
+  expect(createRunner({ settings: { concurrency: 0 } }).runner.concurrency).toBe(1);
+});
+
+test('streams pages, prefetching the next while the current one sends', async () => {
+  const pages = {
+    first: { messages: recipients(2).messages, next_cursor: 'p2', total: 4 },
+    p2: { messages: recipients(4).messages.slice(1), next_cursor: null },
+  };
+  const fetchBatch = jest.fn((dmsgId, { cursor }) => Promise.resolve(pages[cursor || 'first']));
+  const sendMessage = jest.fn().mockResolvedValue({});
+  const reportStatus = jest.fn().mockResolvedValue({ success: true });
+  const store = createMemoryJournalStore();
+  const save = jest.spyOn(store, 'save');
+  const runner = new DispatchRunner('42', {
+    sendMessage,
+    fetchBatch,
+    reportStatus,
+    getAccessToken: () => 'token',
+    storage: window.sessionStorage,
+    journal: new DispatchJournal('42', { store }),
+    settings: { rateLimit: { initialRate: 10, maxRate: 10, burst: 1 }, pageSize: 2 },
+  });
+  let firstSend;
+  sendMessage.mockImplementationOnce(() => {
+    firstSend = fetchBatch.mock.calls.map(([, options]) => options);
+    return Promise.resolve({});
+  });
+
+  const result = await runToEnd(runner.start());
+
+  expect(firstSend).toEqual([{ limit: 2 }, { cursor: 'p2', limit: 2 }]);
+  // user-1 is on both pages
+  expect(sendMessage.mock.calls.map(([, kcId]) => kcId)).toEqual(['user-0', 'user-1', 'user-2', 'user-3']);
+  expect(reportStatus).toHaveBeenNthCalledWith(1, expect.objectContaining({ dispatch_count: 2, status: 1 }));
+  expect(reportStatus).toHaveBeenLastCalledWith(expect.objectContaining({ dispatch_count: 4, status: 2 }));
+  expect(result).toMatchObject({ total: 4, success: 4 });
+  expect(runner.messages).toEqual([]);
+  // The journal writes what changed, never the whole dispatch
+  expect(Math.max(...save.mock.calls.map(([, records]) => records.length))).toBe(2);
+});
+
+test('skips recipients missing a field the template needs', async () => {
+  const batch = recipients(3);
+  batch.messages[1].fullname = '';
+  const { runner, sendMessage } = createRunner({ batch });
+  const invalid = jest.fn();
+  runner.on('invalid', invalid);
+
+  const result = await runToEnd(runner.start());
+
+  expect(sendMessage.mock.calls.map(([, kcId]) => kcId)).toEqual(['user-0', 'user-2']);
+  expect(invalid).toHaveBeenCalledWith(expect.objectContaining({ missing: ['fullname'] }));
+  expect(result).toMatchObject({ success: 2, failed: 1, invalid: 1, current: 3 });
+});
+
+test('fails before sending anything when the template is malformed', async () => {
+  const batch = recipients(2);
+  batch.messages.forEach((msg) => { msg.body = 'Hi <if fullname><fullname>'; });
+  const { runner, sendMessage } = createRunner({ batch });
+
+  await expect(runToEnd(runner.start())).rejects.toThrow('is never closed');
+  expect(sendMessage).not.toHaveBeenCalled();
+  expect(runner.state).toBe('error');
+});
+
+test('waits for a scheduled start before loading the batch', async () => {
+  jest.setSystemTime(Date.parse('2026-01-05T10:00:00Z'));
+  const startAt = Date.now() + 60 * 60 * 1000;
+  const { runner, sendMessage } = createRunner({ settings: { schedule: { startAt, window: null, timeZone: 'UTC' } } });
+  const scheduled = jest.fn();
+  runner.on('scheduled', scheduled);
+
+  const run = runner.start();
+  await advance(30 * 60 * 1000);
+  expect(runner.state).toBe('scheduled');
+  expect(scheduled).toHaveBeenCalledWith({ startAt });
+  expect(sendMessage).not.toHaveBeenCalled();
+
+  await advance(30 * 60 * 1000);
+  const result = await runToEnd(run);
+  expect(result.success).toBe(3);
+});
+
+test('only sends inside each recipient\'s sending hours', async () => {
+  // 07:00 UTC: 08:00 in Lagos, still night in New York
+  jest.setSystemTime(Date.parse('2026-01-05T07:00:00Z'));
+  const batch = recipients(3);
+  batch.messages[0].timezone = 'America/New_York';
+  batch.messages[1].timezone = 'Africa/Lagos';
+  const { runner, sendMessage } = createRunner({
+    batch,
+    settings: { schedule: { startAt: null, window: { start: '08:00', end: '21:00' }, timeZone: 'UTC' } },
+  });
+  const waiting = jest.fn();
+  runner.on('waiting', waiting);
+
+  const run = runner.start();
+  await advance(1000);
+  expect(sendMessage.mock.calls.map(([, kcId]) => kcId)).toEqual(['user-1']);
+
+  // 08:00 UTC opens the window for user-2
+  await advance(60 * 60 * 1000);
+  expect(sendMessage.mock.calls.map(([, kcId]) => kcId)).toEqual(['user-1', 'user-2']);
+  expect(runner.state).toBe('waiting');
+  // 08:00 in New York is 13:00 UTC
+  expect(waiting).toHaveBeenLastCalledWith({ until: Date.parse('2026-01-05T13:00:00Z') });
+
+  await advance(5 * 60 * 60 * 1000);
+  const result = await runToEnd(run);
+  expect(sendMessage).toHaveBeenCalledTimes(3);
+  expect(result.success).toBe(3);
+});
+
+test('cancels a scheduled dispatch without sending', async () => {
+  const { runner, sendMessage, reportStatus } = createRunner({
+    settings: { schedule: { startAt: Date.now() + 60 * 1000, window: null, timeZone: 'UTC' } },
+  });
+
+  const run = runner.start();
+  await advance(100);
+  runner.cancel();
+  const result = await runToEnd(run);
+
+  expect(runner.state).toBe('cancelled');
+  expect(result.total).toBe(0);
+  expect(sendMessage).not.toHaveBeenCalled();
+  expect(reportStatus).not.toHaveBeenCalled();
+});
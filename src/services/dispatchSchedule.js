@@ -0,0 +1,145 @@
+// src/services/dispatchSchedule.js
+// Scheduled dispatches and allowed sending hours. A schedule is
+//   { startAt, window: { start: "08:00", end: "21:00" } | null, timeZone }
+// startAt (ms since epoch, or null for "now") is when the runner may begin.
+// window limits sends to those hours in each recipient's timezone (the
+// batch row's "timezone" field) or, when a row has none, in timeZone.
+//
+// Schedules are kept in localStorage per dmsg_id so a reload picks the
+// dispatch up again, and the Flutter host is told when to wake the page.
+import { enqueue } from "./bridgeOutbox";
+import { MessageType } from "./bridge";
+
+const SCHEDULES_KEY = "kl_dispatch_schedules";
+const DAY_MINUTES = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const deviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Throws on anything malformed, so a bad schedule is refused up front
+// rather than silently never sending.
+export const normalizeSchedule = ({ startAt = null, window = null, timeZone = deviceTimeZone() } = {}) => {
+  const start = startAt === null || startAt === "" ? null : Number(new Date(startAt));
+  if (start !== null && Number.isNaN(start)) throw new Error("Invalid start time");
+  if (!isValidTimeZone(timeZone)) throw new Error(`Unknown timezone "${timeZone}"`);
+  if (window && !(TIME_PATTERN.test(window.start) && TIME_PATTERN.test(window.end))) {
+    throw new Error("Sending hours must be given as HH:MM");
+  }
+  return {
+    startAt: start,
+    window: window ? { start: window.start, end: window.end } : null,
+    timeZone,
+  };
+};
+
+// ── Window arithmetic ──
+
+const zoneFormatters = new Map();
+
+// Minutes since local midnight in timeZone, with seconds as a fraction.
+const minutesInZone = (now, timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      hourCycle: "h23",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    }));
+  }
+  const parts = {};
+  zoneFormatters.get(timeZone).formatToParts(new Date(now)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return parts.hour * 60 + parts.minute + parts.second / 60;
+};
+
+// How long (ms) until sending is allowed in timeZone; 0 inside the window
+// or without one. A window whose end is before its start runs overnight.
+export const msUntilWindowOpens = (window, now, timeZone) => {
+  if (!window) return 0;
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  if (start === end) return 0;
+
+  const current = minutesInZone(now, timeZone);
+  const open = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (open) return 0;
+  const minutes = (((start - current) % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  return Math.ceil(minutes * 60 * 1000);
+};
+
+// The zone a recipient's window is measured in.
+export const recipientTimeZone = (msg, schedule) => (
+  isValidTimeZone(msg?.timezone) ? msg.timezone : schedule.timeZone
+);
+
+// ── Persistence ──
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SCHEDULES_KEY) || "{}");
+  } catch (e) {
+    return {};
+  }
+};
+
+const writeAll = (all) => {
+  try {
+    localStorage.setItem(SCHEDULES_KEY, JSON.stringify(all));
+  } catch (e) {
+    console.warn("[schedule] Could not save schedules:", e);
+  }
+};
+
+export const getDispatchSchedule = (dmsgId) => {
+  const stored = readAll()[dmsgId];
+  if (!stored) return null;
+  try {
+    return normalizeSchedule(stored);
+  } catch (e) {
+    console.warn(`[schedule] Ignoring invalid schedule for ${dmsgId}:`, e.message);
+    return null;
+  }
+};
+
+export const saveDispatchSchedule = (dmsgId, schedule) => {
+  const normalized = normalizeSchedule(schedule);
+  writeAll({ ...readAll(), [dmsgId]: normalized });
+  return normalized;
+};
+
+export const clearDispatchSchedule = (dmsgId) => {
+  const all = readAll();
+  if (!(dmsgId in all)) return;
+  delete all[dmsgId];
+  writeAll(all);
+};
+
+// Asks the Flutter host to keep the WebView alive, or to load path again,
+// by wakeAt. Goes through the outbox so it survives the page being killed.
+export const requestHostWake = (dmsgId, wakeAt) => enqueue(MessageType.DISPATCH_WAKE, {
+  dmsg_id: String(dmsgId),
+  wakeAt,
+  path: `/dispatch/${encodeURIComponent(dmsgId)}/run`,
+}, {
+  collapseKey: `dispatch.wake.${dmsgId}`,
+  ttlMs: Math.max(0, wakeAt - Date.now()) + 60 * 60 * 1000,
+});
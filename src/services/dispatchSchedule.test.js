@@ -0,0 +1,69 @@
+import {
+  clearDispatchSchedule,
+  getDispatchSchedule,
+  msUntilWindowOpens,
+  normalizeSchedule,
+  recipientTimeZone,
+  requestHostWake,
+  saveDispatchSchedule,
+} from './dispatchSchedule';
+import { getPendingMessages } from './bridgeOutbox';
+
+const HOUR = 60 * 60 * 1000;
+const at = (time) => Date.parse(`2026-01-05T${time}:00Z`);
+const daytime = { start: '08:00', end: '21:00' };
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('measures time until the sending hours open', () => {
+  expect(msUntilWindowOpens(daytime, at('07:30'), 'UTC')).toBe(HOUR / 2);
+  expect(msUntilWindowOpens(daytime, at('08:00'), 'UTC')).toBe(0);
+  expect(msUntilWindowOpens(daytime, at('20:59'), 'UTC')).toBe(0);
+  expect(msUntilWindowOpens(daytime, at('21:00'), 'UTC')).toBe(11 * HOUR);
+  expect(msUntilWindowOpens(null, at('03:00'), 'UTC')).toBe(0);
+});
+
+test('handles overnight windows and other timezones', () => {
+  const overnight = { start: '22:00', end: '06:00' };
+  expect(msUntilWindowOpens(overnight, at('23:00'), 'UTC')).toBe(0);
+  expect(msUntilWindowOpens(overnight, at('05:00'), 'UTC')).toBe(0);
+  expect(msUntilWindowOpens(overnight, at('12:00'), 'UTC')).toBe(10 * HOUR);
+  // 07:30 UTC is 08:30 in Lagos
+  expect(msUntilWindowOpens(daytime, at('07:30'), 'Africa/Lagos')).toBe(0);
+});
+
+test('uses the recipient timezone when the row has a valid one', () => {
+  const schedule = { timeZone: 'UTC' };
+  expect(recipientTimeZone({ timezone: 'Asia/Manila' }, schedule)).toBe('Asia/Manila');
+  expect(recipientTimeZone({ timezone: 'Mars/Olympus' }, schedule)).toBe('UTC');
+  expect(recipientTimeZone({}, schedule)).toBe('UTC');
+});
+
+test('refuses malformed schedules', () => {
+  expect(() => normalizeSchedule({ startAt: 'soon' })).toThrow('Invalid start time');
+  expect(() => normalizeSchedule({ timeZone: 'Nowhere/Land' })).toThrow('Unknown timezone');
+  expect(() => normalizeSchedule({ window: { start: '8am', end: '21:00' } })).toThrow('HH:MM');
+});
+
+test('keeps schedules across reloads until cleared', () => {
+  saveDispatchSchedule('42', { startAt: '2026-01-05T08:00:00Z', window: daytime, timeZone: 'UTC' });
+
+  expect(getDispatchSchedule('42')).toEqual({ startAt: at('08:00'), window: daytime, timeZone: 'UTC' });
+  expect(getDispatchSchedule('43')).toBeNull();
+  clearDispatchSchedule('42');
+  expect(getDispatchSchedule('42')).toBeNull();
+});
+
+test('asks the host to wake the run route', () => {
+  requestHostWake('42', Date.now() + HOUR);
+  requestHostWake('42', Date.now() + 2 * HOUR);
+
+  const messages = getPendingMessages();
+  expect(messages).toHaveLength(1);
+  expect(messages[0]).toMatchObject({
+    type: 'dispatch.wake',
+    payload: { dmsg_id: '42', path: '/dispatch/42/run' },
+  });
+});
@@ -1,39 +1,78 @@
 // src/services/dispatchService.js
-const API_BASE_URL = 'https://kingslist.pro/app/default/api';
+import { getDispatchBatch } from './apiClient';
+import { renderTemplate } from './messageTemplate';
 
-export const fetchDispatchBatch = async (dmsg_id) => {
-    try {
-      const response = await fetch(`${API_BASE_URL}/getDispatchBatch.php?dmsg_id=${dmsg_id}`, {
-        credentials: 'include'
-      });
-  
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-  
-      // Read response as text first to debug potential issues
-      const textResponse = await response.text();
-      console.log("Raw API Response:", textResponse);
-  
-      // Parse the response as JSON
-      const jsonData = JSON.parse(textResponse);
-      
-      if (!jsonData?.data?.messages?.length) {
-        throw new Error('No messages available in this batch');
-      }
-  
-      return jsonData.data;
-      
-    } catch (error) {
-      console.error('Failed to fetch dispatch batch:', error);
-      throw error;
-    }
-  };
-  
+// Rejects with the error types from apiErrors.js (EmptyBatchError when the
+// batch has no recipients).
+export const fetchDispatchBatch = async (dmsg_id, { signal, cursor, limit } = {}) => {
+  try {
+    return await getDispatchBatch(dmsg_id, { signal, cursor, limit });
+  } catch (error) {
+    console.error('Failed to fetch dispatch batch:', error);
+    throw error;
+  }
+};
 
+// Yields the batch a page at a time, fetching the next page while the
+// caller works on the current one. Servers that don't page return
+// everything in the first page with no next_cursor.
+export async function* streamDispatchPages(dmsg_id, { pageSize, signal, fetchPage = fetchDispatchBatch } = {}) {
+  let next = fetchPage(dmsg_id, { limit: pageSize, signal });
+  while (next) {
+    const page = await next;
+    next = page.next_cursor
+      ? fetchPage(dmsg_id, { cursor: page.next_cursor, limit: pageSize, signal })
+      : null;
+    // If the caller stops early nobody awaits the prefetch
+    next?.catch(() => {});
+    yield page;
+  }
+}
+
+// Fills the message template from the recipient's row. Returns the body and
+// the required fields the row left empty (see messageTemplate.js).
+export const personalizeMessage = (msg) => {
+  const { text, missing } = renderTemplate(msg.body, msg);
+  return { body: text, missingFields: missing };
+};
+
+// kc_ids end up in a URL path (/api/users/:id/new_message). Shared with the
+// preview so it counts the same recipients a dispatch sends to.
+export const isValidKcId = (kcId) => /^[A-Za-z0-9_-]+$/.test(String(kcId ?? '').trim());
+
+const dropInvalidRecipients = (messages) => {
+  const valid = messages.filter(msg => isValidKcId(msg.kc_id));
+  if (valid.length < messages.length) {
+    console.warn(`[dispatch] Dropped ${messages.length - valid.length} recipient(s) with an invalid kc_id from the batch`);
+  }
+  return valid;
+};
+
+// One message per recipient: a kc_id listed twice in a batch is only sent
+// the first entry.
+const dedupeByRecipient = (messages) => {
+  const seen = new Set();
+  const unique = messages.filter(msg => {
+    const kcId = String(msg.kc_id).trim();
+    if (seen.has(kcId)) return false;
+    seen.add(kcId);
+    return true;
+  });
+  if (unique.length < messages.length) {
+    console.warn(`[dispatch] Dropped ${messages.length - unique.length} duplicate recipient(s) from the batch`);
+  }
+  return unique;
+};
+
+// Throws TemplateError if a message template is malformed. Recipients
+// missing a required field keep the list in missingFields.
 export const prepareMessagesForDispatch = (batchData) => {
-  return batchData.messages.map(msg => ({
+  return dedupeByRecipient(dropInvalidRecipients(batchData.messages)).map(msg => ({
     ...msg,
+    ...personalizeMessage(msg),
+    kc_id: String(msg.kc_id).trim(),
     processed: false,
     retries: 0,
     status: 'pending'
   }));
-};
\ No newline at end of file
+};
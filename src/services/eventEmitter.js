@@ -0,0 +1,29 @@
+// src/services/eventEmitter.js
+// Minimal event emitter for plain (non-React) services.
+
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  // Returns a function that removes the listener.
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    [...(this.listeners.get(event) || [])].forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (e) {
+        console.warn(`[events] "${event}" listener failed:`, e);
+      }
+    });
+  }
+}
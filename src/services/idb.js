@@ -0,0 +1,111 @@
+// src/services/idb.js
+// Minimal promise wrapper around IndexedDB for the few stores this app keeps.
+
+const DB_NAME = "kingslist";
+const DB_VERSION = 3;
+// v1: keys (session encryption key). v2: dispatch_journal. v3:
+// dispatch_recipients (one record per recipient, replacing dispatch_journal).
+const STORES = ["keys", "dispatch_journal", "dispatch_recipients"];
+
+let dbPromise = null;
+
+export const isIndexedDbAvailable = () => typeof window !== "undefined" && !!window.indexedDB;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionToPromise = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+export const openDatabase = () => {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORES.forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+export const idbGet = async (store, key) => {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(store, "readonly").objectStore(store).get(key));
+};
+
+export const idbSet = async (store, key, value) => {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(store, "readwrite").objectStore(store).put(value, key));
+};
+
+export const idbDelete = async (store, key) => {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(store, "readwrite").objectStore(store).delete(key));
+};
+
+// Several gets in one transaction. Resolves with the values in key order,
+// undefined where there is none.
+export const idbGetMany = async (store, keys) => {
+  const db = await openDatabase();
+  const objectStore = db.transaction(store, "readonly").objectStore(store);
+  return Promise.all(keys.map((key) => requestToPromise(objectStore.get(key))));
+};
+
+// Puts [key, value] pairs in one transaction; resolves once it commits.
+export const idbSetMany = async (store, entries) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(store, "readwrite");
+  const objectStore = transaction.objectStore(store);
+  entries.forEach(([key, value]) => objectStore.put(value, key));
+  return transactionToPromise(transaction);
+};
+
+// Array keys starting with prefix: [...prefix, anything]. An array sorts
+// after every string or number, so [...prefix, []] is past them all.
+const prefixRange = (prefix) => window.IDBKeyRange.bound(prefix, [...prefix, []]);
+
+// Calls fn(key, value) for every record under prefix, one at a time.
+export const idbForEach = async (store, prefix, fn) => {
+  const db = await openDatabase();
+  const request = db.transaction(store, "readonly").objectStore(store).openCursor(prefixRange(prefix));
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      try {
+        fn(cursor.key, cursor.value);
+        cursor.continue();
+      } catch (error) {
+        reject(error);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const idbDeletePrefix = async (store, prefix) => {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(store, "readwrite").objectStore(store).delete(prefixRange(prefix)));
+};
@@ -1,15 +1,16 @@
 // kingschat.js
 import kingsChatWebSdk from 'kingschat-web-sdk';
-
-const CLIENT_ID = '5d61e98b-7f02-4ea6-ac7a-9b193f2e425d';
+import { getConfig } from './config';
+import { parseRetryAfter } from './apiClient';
 
 export const login = async (scopes = ["send_chat_message"]) => {
   try {
     console.log("login in with:", scopes);
+    const { clientId, kingschatEnvironment } = getConfig();
     const response = await kingsChatWebSdk.login({
       scopes,
-      clientId: CLIENT_ID,
-    });
+      clientId,
+    }, kingschatEnvironment);
     console.log("login successful, tokens received");
     return response;
   } catch (error) {
@@ -22,27 +23,71 @@ export const login = async (scopes = ["send_chat_message"]) => {
   }
 };
 
+// Statuses from the token endpoint that say "not now" rather than "no"
+const isTransientStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+// Same request as kingsChatWebSdk.refreshAuthenticationToken, made directly
+// so a failure keeps its HTTP status (the SDK rejects every non-2xx with a
+// bare "error"). Resolves with { accessToken, expiresInMillis, refreshToken }
+// like the SDK. Errors carry status (null without a response) and
+// transient: true when trying again later may work; otherwise KingsChat
+// turned the refresh token down.
 export const refreshToken = async (refreshToken) => {
+  console.log("Attempting token refresh");
+  const { clientId, kingschatApiUrl } = getConfig();
+
+  let response;
   try {
-    console.log("Attempting token refresh");
-    const response = await kingsChatWebSdk.refreshAuthenticationToken({
-      clientId: CLIENT_ID,
-      refreshToken,
+    response = await fetch(`${kingschatApiUrl}/oauth2/token`, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        client_id: clientId,
+        grant_type: "refresh_token",
+        refresh_token: refreshToken
+      })
     });
-    console.log("Token refresh successful");
-    return response;
   } catch (error) {
     console.error("Token refresh failed:", {
       message: error.message,
       stack: error.stack
     });
-    throw new Error(`Token refresh failed: ${error.message || "Unknown error"}`);
+    throw Object.assign(new Error(`Token refresh failed: ${error.message || "Unknown error"}`), {
+      status: null,
+      transient: true
+    });
+  }
+
+  if (!response.ok) {
+    console.error("Token refresh failed:", { status: response.status });
+    throw Object.assign(new Error(`Token refresh failed: status ${response.status}`), {
+      status: response.status,
+      transient: isTransientStatus(response.status)
+    });
   }
+
+  const payload = await response.json().catch(() => null);
+  if (!payload?.access_token) {
+    // Not a verdict on the refresh token either
+    throw Object.assign(new Error("Token refresh failed: no access token in the response"), {
+      status: response.status,
+      transient: true
+    });
+  }
+  console.log("Token refresh successful");
+  return {
+    accessToken: payload.access_token,
+    expiresInMillis: payload.expires_in_millis,
+    refreshToken: payload.refresh_token
+  };
 };
 
 export const fetchUserProfile = async (accessToken) => {
   try {
-    const response = await fetch("https://connect.kingsch.at/developer/api/profile", {
+    const response = await fetch(`${getConfig().kingschatApiUrl}/developer/api/profile`, {
       method: "GET",
       headers: {
         authorization: `Bearer ${accessToken}`
@@ -87,46 +132,133 @@ export const fetchUserProfile = async (accessToken) => {
 //   }
 // };
 
-// Metrics counters
-let successCount = 0;
-let errorCount = 0;
+const RATE_LIMIT_PATTERN = /rate limit|too many requests|throttl/i;
+const AUTH_PATTERN = /token|scope|unauthori[sz]ed/i;
+// KingsChat (or the gateway in front of it) was unavailable or timed out;
+// the same send is likely to work a moment later
+const TRANSIENT_STATUSES = [408, 502, 503, 504];
 
-export const getMessageMetrics = () => ({
-  successCount,
-  errorCount,
-  totalProcessed: successCount + errorCount,
-  successRate: successCount > 0 ? (successCount/(successCount + errorCount)) * 100 : 0
-});
+// What went wrong with a send, which decides what the dispatch engine does
+// about it:
+//   recipient   KingsChat refused this recipient (unknown, blocked, bad
+//               request); sending again won't help
+//   auth        the access token was refused; refresh it and send again
+//   rate_limit  throttled; back off and send again
+//   server      KingsChat failed (5xx, 408); worth another try
+//   network     the request failed before any response came back; worth
+//               another try
+export const SendErrorCategory = {
+  RECIPIENT: "recipient",
+  AUTH: "auth",
+  RATE_LIMIT: "rate_limit",
+  SERVER: "server",
+  NETWORK: "network",
+};
 
-export const resetMessageMetrics = () => {
-  successCount = 0;
-  errorCount = 0;
+// A failed sendMessage. Besides the category it carries:
+//   status       HTTP status, or null when there was no response
+//   detail       KingsChat's own error text, if it sent one
+//   rateLimited  category is rate_limit
+//   retryAfterMs from Retry-After, or null
+//   transient    no response, or 408/502/503/504: the dispatch engine
+//                retries it more often than other failures (a bounded
+//                number of times all the same)
+//   delivery     "not_sent" when the message did not go out, "unknown" when
+//                it may have gone through and must not be sent again
+export class SendMessageError extends Error {
+  constructor(message, { category, status = null, detail = null, retryAfterMs = null, delivery = "not_sent", cause } = {}) {
+    super(message);
+    this.name = "SendMessageError";
+    this.category = category;
+    this.status = status;
+    this.detail = detail;
+    this.rateLimited = category === SendErrorCategory.RATE_LIMIT;
+    this.retryAfterMs = retryAfterMs;
+    this.transient = category === SendErrorCategory.NETWORK || TRANSIENT_STATUSES.includes(status);
+    this.delivery = delivery;
+    if (cause) this.cause = cause;
+  }
+}
+
+export const categorizeSendFailure = (status, detail = "") => {
+  if (status === 429 || RATE_LIMIT_PATTERN.test(detail)) return SendErrorCategory.RATE_LIMIT;
+  if (status === 401) return SendErrorCategory.AUTH;
+  // 403 is also how KingsChat says a recipient blocked us
+  if (status === 403) return AUTH_PATTERN.test(detail) ? SendErrorCategory.AUTH : SendErrorCategory.RECIPIENT;
+  if (status === 408 || status >= 500) return SendErrorCategory.SERVER;
+  return SendErrorCategory.RECIPIENT;
+};
+
+// KingsChat's explanation from an error body: a JSON message field, or the
+// start of the text.
+const errorDetail = (text) => {
+  try {
+    const body = JSON.parse(text);
+    const detail = body?.message || body?.error_description || body?.error;
+    if (typeof detail === "string") return detail;
+  } catch (e) {
+    // Not JSON
+  }
+  return text.trim().substring(0, 200) || null;
 };
 
+// Same request as kingsChatWebSdk.sendMessage, made directly so failures
+// keep the HTTP status, Retry-After and KingsChat's error text (the SDK
+// rejects with a bare "error"). Keeps no counts of its own: per-recipient
+// outcomes live in the dispatch journal (see deliveryReport.js). Rejects
+// with a SendMessageError.
 export const sendMessage = async (accessToken, userIdentifier, message) => {
+  console.log("Sending message to:", userIdentifier);
+  console.log("Using access token:", accessToken.substring(0, 10) + "...");
+  console.log(`Message: ${message.substring(0, 50)}...`);
+
+  let response;
   try {
-    console.log("Sending message to:", userIdentifier);
-    console.log("Using access token:", accessToken.substring(0, 10) + "...");
-    console.log(`Message: ${message.substring(0, 50)}...`);
-    
-    const response = await kingsChatWebSdk.sendMessage({
-      accessToken,
-      userIdentifier,
-      message,
+    response = await fetch(`${getConfig().kingschatApiUrl}/api/users/${encodeURIComponent(userIdentifier)}/new_message`, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${accessToken}`
+      },
+      body: JSON.stringify({ message: { body: { text: { body: message } } } })
     });
-    
-    successCount++;
-    console.log(`Message sent successfully. Total successes: ${successCount}`);
-    console.log(`[Success #${successCount}] ${userIdentifier}`);
-    console.log("Message sent successfully");
-    return response;
   } catch (error) {
-    errorCount++;
-    console.error(`Message send failed. Total errors: ${errorCount} [Error #${errorCount}] ${userIdentifier}:`, {
+    console.error(`Message send failed for ${userIdentifier}:`, {
       message: error.message,
-      stack: error.stack,
-      response: error.response
+      stack: error.stack
+    });
+    // fetch rejects (TypeError, or AbortError) before any response, so
+    // KingsChat never accepted the message
+    throw new SendMessageError(`Failed to send message: ${error.message || "Unknown error"}`, {
+      category: SendErrorCategory.NETWORK,
+      cause: error
     });
-    throw new Error(`Failed to send message: ${error.message || "Unknown error"}`);
   }
-};
\ No newline at end of file
+
+  const text = await response.text().catch(() => "");
+
+  if (!response.ok) {
+    const detail = errorDetail(text);
+    const category = categorizeSendFailure(response.status, detail || "");
+    console.error(`Message send failed for ${userIdentifier}:`, {
+      status: response.status,
+      category,
+      response: text.substring(0, 200)
+    });
+    const reason = category === SendErrorCategory.RATE_LIMIT ? "rate limited" : `status ${response.status}`;
+    throw new SendMessageError(`Failed to send message: ${reason}${detail ? ` (${detail})` : ""}`, {
+      category,
+      status: response.status,
+      detail,
+      retryAfterMs: parseRetryAfter(response.headers.get("Retry-After"))
+    });
+  }
+
+  console.log(`Message sent successfully to ${userIdentifier}`);
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (e) {
+    return {};
+  }
+};
@@ -0,0 +1,124 @@
+import { SendErrorCategory, SendMessageError, refreshToken, sendMessage } from './kingschat';
+
+const respond = (status, body = '', headers = {}) => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] || null },
+    text: async () => body,
+  });
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('posts the message to the KingsChat user endpoint', async () => {
+  respond(200, '{"id":"m1"}');
+
+  await expect(sendMessage('access-token', 'kc 1', 'Hello')).resolves.toEqual({ id: 'm1' });
+
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toMatch(/\/api\/users\/kc%201\/new_message$/);
+  expect(init.headers.Authorization).toBe('Bearer access-token');
+  expect(JSON.parse(init.body)).toEqual({ message: { body: { text: { body: 'Hello' } } } });
+});
+
+test('reports throttling with the Retry-After delay', async () => {
+  respond(429, 'Too Many Requests', { 'Retry-After': '30' });
+
+  await expect(sendMessage('access-token', 'kc1', 'Hello')).rejects.toMatchObject({
+    status: 429,
+    category: SendErrorCategory.RATE_LIMIT,
+    rateLimited: true,
+    retryAfterMs: 30000,
+    delivery: 'not_sent',
+  });
+});
+
+test('marks a request that got no response as a transient network error', async () => {
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+  await expect(sendMessage('access-token', 'kc1', 'Hello')).rejects.toMatchObject({
+    status: null,
+    category: SendErrorCategory.NETWORK,
+    rateLimited: false,
+    transient: true,
+    delivery: 'not_sent',
+  });
+
+  global.fetch = jest.fn().mockRejectedValue(new DOMException('The user aborted a request.', 'AbortError'));
+  await expect(sendMessage('access-token', 'kc1', 'Hello')).rejects.toMatchObject({ transient: true, delivery: 'not_sent' });
+});
+
+test('keeps KingsChat\'s explanation and categorizes the failure', async () => {
+  respond(404, '{"error":"User not found"}');
+  const error = await sendMessage('access-token', 'kc1', 'Hello').catch((e) => e);
+  expect(error).toBeInstanceOf(SendMessageError);
+  expect(error).toMatchObject({
+    message: 'Failed to send message: status 404 (User not found)',
+    category: SendErrorCategory.RECIPIENT,
+    detail: 'User not found',
+    delivery: 'not_sent',
+  });
+
+  const categoryFor = async (status, body) => {
+    respond(status, body);
+    return (await sendMessage('access-token', 'kc1', 'Hello').catch((e) => e)).category;
+  };
+  await expect(categoryFor(401, '')).resolves.toBe(SendErrorCategory.AUTH);
+  await expect(categoryFor(403, '{"message":"Invalid access token"}')).resolves.toBe(SendErrorCategory.AUTH);
+  await expect(categoryFor(403, '{"message":"User has blocked you"}')).resolves.toBe(SendErrorCategory.RECIPIENT);
+  await expect(categoryFor(503, 'Service Unavailable')).resolves.toBe(SendErrorCategory.SERVER);
+});
+
+test('marks an unavailable KingsChat as transient', async () => {
+  for (const status of [408, 502, 503, 504]) {
+    respond(status, 'Service Unavailable');
+    await expect(sendMessage('access-token', 'kc1', 'Hello')).rejects.toMatchObject({
+      status,
+      category: SendErrorCategory.SERVER,
+      transient: true,
+      delivery: 'not_sent',
+    });
+  }
+
+  respond(500, 'Internal Server Error');
+  await expect(sendMessage('access-token', 'kc1', 'Hello')).rejects.toMatchObject({ transient: false, delivery: 'not_sent' });
+  respond(404, '{"error":"User not found"}');
+  await expect(sendMessage('access-token', 'kc1', 'Hello')).rejects.toMatchObject({ transient: false });
+});
+
+describe('refreshToken', () => {
+  const respondJson = (status, body) => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: status >= 200 && status < 300, status, json: async () => body });
+  };
+
+  test('exchanges the refresh token for new tokens', async () => {
+    respondJson(200, { access_token: 'new-access', refresh_token: 'new-refresh', expires_in_millis: 3600000 });
+
+    await expect(refreshToken('refresh')).resolves.toEqual({
+      accessToken: 'new-access',
+      refreshToken: 'new-refresh',
+      expiresInMillis: 3600000,
+    });
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/\/oauth2\/token$/);
+    expect(JSON.parse(init.body)).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh' });
+  });
+
+  test('only treats a refusal as definite', async () => {
+    for (const [status, transient] of [[400, false], [401, false], [408, true], [429, true], [503, true]]) {
+      respondJson(status, {});
+      await expect(refreshToken('refresh')).rejects.toMatchObject({ status, transient });
+    }
+
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(refreshToken('refresh')).rejects.toMatchObject({ status: null, transient: true });
+  });
+});
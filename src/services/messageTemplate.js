@@ -0,0 +1,227 @@
+// src/services/messageTemplate.js
+// Template engine for dispatch message bodies. Placeholders are filled from
+// the recipient's row in the batch:
+//
+//   <fullname>                    a field of the row (dots reach nested fields)
+//   <fullname|first|upper>        formatters, applied left to right
+//   <username|default:friend>     used when the field is empty
+//   <if username>...<else>...</if>  sections shown only when a field is set
+//   <if !username>...</if>        ... or only when it is empty
+//   \<                            a literal "<"
+//
+// A bare <word> is only a placeholder for the recipient fields every batch
+// has (KNOWN_FIELDS) or a field the caller declared (render's declared
+// option). Anything else, like "<something>", "<body>" or "<3", is left as
+// it is. A formatter or default always makes it a placeholder, except for
+// RESERVED_FIELDS, which are template errors.
+// A placeholder without a default is required. If a recipient's row leaves
+// it empty, render() reports the field as missing.
+//
+// |date reads numbers as unix timestamps (seconds, or milliseconds from
+// 1e12 up) and parses strings as dates, so "20260305" is not a timestamp.
+
+export class TemplateError extends Error {
+  constructor(problems) {
+    super(`Invalid message template: ${problems.join("; ")}`);
+    this.name = "TemplateError";
+    this.problems = problems;
+  }
+}
+
+// Placeholders the message composer has always inserted.
+const FIELD_ALIASES = {
+  kc_username: "username",
+};
+
+// Recipient fields of every getDispatchBatch.php row
+const KNOWN_FIELDS = ["kc_id", "username", "fullname"];
+// Row keys that are not about the recipient: body is the template itself
+const RESERVED_FIELDS = ["body"];
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const DATE_STYLES = ["full", "long", "medium", "short"];
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === "";
+
+const toDate = (value) => {
+  // Unix timestamps from PHP are in seconds
+  const date = typeof value === "number"
+    ? new Date(value * (value < 1e12 ? 1000 : 1))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const FORMATTERS = {
+  first: (value) => String(value).trim().split(/\s+/)[0],
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  date: (value, style = "long") => {
+    const date = toDate(value);
+    return date
+      ? new Intl.DateTimeFormat("en-GB", { dateStyle: style, timeZone: "UTC" }).format(date)
+      : "";
+  },
+};
+
+const TAG = /\\<|<(\/if|else|if\s+!?[A-Za-z_][\w.]*|[A-Za-z_][\w.]*(?:\|[^<>]*)?)>/g;
+
+const fieldPath = (name) => (hasOwn(FIELD_ALIASES, name) ? FIELD_ALIASES[name] : name).split(".");
+
+// Own properties only, so <constructor> or <toString> is not a function
+const lookup = (fields, name) => {
+  const path = fieldPath(name);
+  return path.reduce((value, key) => (
+    value !== null && typeof value === "object" && hasOwn(value, key) ? value[key] : undefined
+  ), fields);
+};
+
+const isReserved = (name) => RESERVED_FIELDS.includes(fieldPath(name)[0]);
+
+const isDeclared = (name, declared) => {
+  const [key] = fieldPath(name);
+  return KNOWN_FIELDS.includes(key) || (declared.includes(key) && !isReserved(key));
+};
+
+const parsePlaceholder = (tag, problems) => {
+  const [field, ...filterSpecs] = tag.split("|");
+  const filters = filterSpecs.map((spec) => {
+    const colon = spec.indexOf(":");
+    const name = (colon === -1 ? spec : spec.slice(0, colon)).trim();
+    const arg = colon === -1 ? undefined : spec.slice(colon + 1);
+    if (name !== "default" && !FORMATTERS[name]) {
+      problems.push(`unknown formatter "${name}" in <${tag}>`);
+    } else if (name === "date" && arg !== undefined && !DATE_STYLES.includes(arg)) {
+      problems.push(`date style must be one of ${DATE_STYLES.join(", ")} in <${tag}>`);
+    }
+    return { name, arg };
+  });
+  if (filters.length && isReserved(field)) problems.push(`<${tag}> is not a recipient field`);
+  return {
+    type: "field",
+    field,
+    filters,
+    bare: filters.length === 0,
+    optional: filters.some((filter) => filter.name === "default"),
+  };
+};
+
+// Parses the source into a tree of text, field and if nodes.
+const parse = (source) => {
+  const problems = [];
+  const root = { children: [] };
+  const stack = [];
+  let current = root.children;
+  let last = 0;
+
+  const pushText = (text) => {
+    if (text) current.push({ type: "text", text });
+  };
+
+  for (const match of source.matchAll(TAG)) {
+    pushText(source.slice(last, match.index));
+    last = match.index + match[0].length;
+    const tag = match[1];
+
+    if (match[0] === "\\<") {
+      pushText("<");
+    } else if (/^if\s/.test(tag)) {
+      const condition = tag.slice(2).trim();
+      const node = {
+        type: "if",
+        negate: condition.startsWith("!"),
+        field: condition.replace(/^!/, ""),
+        then: [],
+        otherwise: null,
+      };
+      if (isReserved(node.field)) problems.push(`<${tag}> is not a recipient field`);
+      current.push(node);
+      stack.push(node);
+      current = node.then;
+    } else if (tag === "else") {
+      const node = stack[stack.length - 1];
+      if (!node || node.otherwise) {
+        problems.push(node ? "<if> has more than one <else>" : "<else> outside an <if>");
+      } else {
+        node.otherwise = [];
+        current = node.otherwise;
+      }
+    } else if (tag === "/if") {
+      if (!stack.length) {
+        problems.push("</if> without an <if>");
+      } else {
+        stack.pop();
+        const parent = stack[stack.length - 1];
+        current = parent ? parent.otherwise || parent.then : root.children;
+      }
+    } else {
+      current.push(parsePlaceholder(tag, problems));
+    }
+  }
+  pushText(source.slice(last));
+  stack.forEach((node) => problems.push(`<if ${node.negate ? "!" : ""}${node.field}> is never closed`));
+
+  if (problems.length) throw new TemplateError(problems);
+  return root.children;
+};
+
+const renderField = (node, { fields, missing, declared }) => {
+  if (node.bare && !isDeclared(node.field, declared)) return `<${node.field}>`;
+  let value = lookup(fields, node.field);
+  // Numbers stay numbers until formatted, for |date
+  value = isEmpty(value) ? "" : value;
+  node.filters.forEach(({ name, arg }) => {
+    if (name === "default") {
+      if (value === "") value = arg || "";
+    } else if (value !== "") {
+      value = FORMATTERS[name](value, arg);
+    }
+  });
+  value = String(value);
+  if (value === "" && !node.optional) missing.add(node.field);
+  return value;
+};
+
+const renderNodes = (nodes, context) => nodes.map((node) => {
+  if (node.type === "text") return node.text;
+  if (node.type === "field") return renderField(node, context);
+  const shown = isEmpty(lookup(context.fields, node.field)) === node.negate;
+  return renderNodes((shown ? node.then : node.otherwise) || [], context);
+}).join("");
+
+// Batches usually share one body, so parsed templates are kept around.
+const cache = new Map();
+const CACHE_SIZE = 20;
+
+// Parses a template once. Throws TemplateError if it is malformed.
+// render(fields, { declared }) resolves the placeholders for one recipient
+// and returns { text, missing } (the required fields that were empty).
+// declared lists the row's extra fields that bare <field> tags may use.
+export const compileTemplate = (source) => {
+  if (cache.has(source)) return cache.get(source);
+  const nodes = parse(source);
+  const template = {
+    source,
+    render: (fields, { declared = [] } = {}) => {
+      const missing = new Set();
+      const text = renderNodes(nodes, { fields: fields || {}, missing, declared });
+      return { text, missing: [...missing] };
+    },
+  };
+  if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(source, template);
+  return template;
+};
+
+export const renderTemplate = (source, fields, options) => compileTemplate(source).render(fields, options);
+
+// Problems with a template, or an empty list if it is fine.
+export const validateTemplate = (source) => {
+  try {
+    compileTemplate(source);
+    return [];
+  } catch (error) {
+    if (error instanceof TemplateError) return error.problems;
+    throw error;
+  }
+};
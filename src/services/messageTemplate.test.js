@@ -0,0 +1,87 @@
+import { TemplateError, compileTemplate, renderTemplate, validateTemplate } from './messageTemplate';
+
+const row = {
+  kc_id: 'abc',
+  username: 'jdoe',
+  fullname: 'John  Doe',
+  joined: '2026-03-05',
+  group: { name: 'Choir' },
+};
+
+test('fills the legacy placeholders and declared fields', () => {
+  expect(renderTemplate('Hi <fullname> (@<kc_username>) from <group.name>', row, { declared: ['group'] })).toEqual({
+    text: 'Hi John  Doe (@jdoe) from Choir',
+    missing: [],
+  });
+});
+
+test('applies formatters in order and defaults to empty fields', () => {
+  expect(renderTemplate('<fullname|first|upper>, <nickname|default:friend>', row).text).toBe('JOHN, friend');
+  expect(renderTemplate('<joined|date> / <joined|date:short> / <created|date|default:soon>', row).text)
+    .toBe('5 March 2026 / 05/03/2026 / soon');
+  expect(renderTemplate('<joined|date>', { joined: 1772668800 }).text).toBe('5 March 2026');
+});
+
+test('shows conditional sections only when the field is set', () => {
+  const template = 'Hello<if username> @<username><else> there</if>!<if !phone> Add a phone.</if>';
+  expect(renderTemplate(template, row).text).toBe('Hello @jdoe! Add a phone.');
+  expect(renderTemplate(template, { ...row, username: '', phone: '1' })).toEqual({ text: 'Hello there!', missing: [] });
+});
+
+test('reports required fields a row leaves empty instead of printing undefined', () => {
+  expect(renderTemplate('Hi <fullname>, <city>', { fullname: null, city: '' }, { declared: ['city'] })).toEqual({
+    text: 'Hi , ',
+    missing: ['fullname', 'city'],
+  });
+});
+
+test('leaves stray and escaped angle brackets alone', () => {
+  expect(renderTemplate('I <3 you \\<fullname> 2 < 3', row).text).toBe('I <3 you <fullname> 2 < 3');
+});
+
+test('leaves <words> that are not known or declared fields as text', () => {
+  expect(renderTemplate('Press <Enter> to join <group.name>', row)).toEqual({
+    text: 'Press <Enter> to join <group.name>',
+    missing: [],
+  });
+  expect(renderTemplate('<username>, <city>', { kc_id: 'abc', city: 'Lagos' })).toEqual({
+    text: ', <city>',
+    missing: ['username'],
+  });
+  expect(renderTemplate('<city|default:near you>', row).text).toBe('near you');
+});
+
+test('never pastes the message body into itself', () => {
+  const withBody = { ...row, body: 'Hi <body>' };
+  expect(renderTemplate(withBody.body, withBody, { declared: ['body'] }).text).toBe('Hi <body>');
+  expect(validateTemplate('Hi <body|upper><if body>!</if>')).toEqual([
+    '<body|upper> is not a recipient field',
+    '<if body> is not a recipient field',
+  ]);
+});
+
+test('does not read inherited properties as fields', () => {
+  expect(renderTemplate('<constructor> <toString|default:x> <group.constructor|upper>', row)).toEqual({
+    text: '<constructor> x ',
+    missing: ['group.constructor'],
+  });
+});
+
+test('only reads numbers as timestamps', () => {
+  expect(renderTemplate('<joined|date>', { joined: 1772668800000 }).text).toBe('5 March 2026');
+  expect(renderTemplate('<joined|date>', { joined: '1772668800' }).text).toBe('');
+});
+
+test('rejects malformed templates with every problem listed', () => {
+  expect(validateTemplate('Hi <fullname|shout> <if username>x<else>y<else>z')).toEqual([
+    'unknown formatter "shout" in <fullname|shout>',
+    '<if> has more than one <else>',
+    '<if username> is never closed',
+  ]);
+  expect(validateTemplate('</if> <joined|date:yearly>')).toEqual([
+    '</if> without an <if>',
+    'date style must be one of full, long, medium, short in <joined|date:yearly>',
+  ]);
+  expect(() => compileTemplate('<else>')).toThrow(TemplateError);
+  expect(validateTemplate('Hi <fullname>')).toEqual([]);
+});
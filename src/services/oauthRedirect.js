@@ -0,0 +1,132 @@
+// src/services/oauthRedirect.js
+// Full-page redirect login for KingsChat, used instead of the SDK popup inside
+// WebViews (popups there either don't open or lose their opener).
+//
+// The flow is OAuth 2 authorization code with PKCE: a random state and code
+// verifier are kept in sessionStorage, the user is sent to the KingsChat
+// accounts page, and /callback validates state and exchanges the code.
+import { getConfig } from "./config";
+
+const PENDING_KEY = "kc_oauth_pending";
+// A login that takes longer than this is treated as abandoned.
+const PENDING_MAX_AGE_MS = 10 * 60 * 1000;
+
+export const CALLBACK_PATH = "/callback";
+
+const base64UrlEncode = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const randomString = (byteLength) => {
+  const bytes = new Uint8Array(byteLength);
+  window.crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+};
+
+export const createCodeChallenge = async (verifier) => {
+  const digest = await window.crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier));
+  return base64UrlEncode(digest);
+};
+
+export const getRedirectUri = () => `${window.location.origin}${CALLBACK_PATH}`;
+
+// Only paths on this site, so a callback can't be turned into an open redirect
+const isLocalPath = (path) => typeof path === "string" && path.startsWith("/") && !path.startsWith("//");
+
+// Sends the browser to the KingsChat authorization page. Never resolves in
+// practice: the page unloads. returnTo is a path on this site to come back to
+// once the tokens are handed over.
+export const startRedirectLogin = async ({ scopes = ["send_chat_message"], returnTo = null } = {}) => {
+  const state = randomString(16);
+  const verifier = randomString(32);
+  const challenge = await createCodeChallenge(verifier);
+  const redirectUri = getRedirectUri();
+
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({
+    state,
+    verifier,
+    redirectUri,
+    returnTo: isLocalPath(returnTo) ? returnTo : null,
+    createdAt: Date.now(),
+  }));
+
+  const { clientId, kingschatAccountsUrl } = getConfig();
+  const url = new URL(kingschatAccountsUrl);
+  url.searchParams.append("client_id", clientId);
+  url.searchParams.append("scopes", JSON.stringify(scopes));
+  url.searchParams.append("redirect_uri", redirectUri);
+  url.searchParams.append("response_type", "code");
+  url.searchParams.append("state", state);
+  url.searchParams.append("code_challenge", challenge);
+  url.searchParams.append("code_challenge_method", "S256");
+
+  console.log("[oauthRedirect] Redirecting to KingsChat login");
+  window.location.assign(url.toString());
+};
+
+const takePendingLogin = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(PENDING_KEY) || "null");
+  } catch (e) {
+    return null;
+  } finally {
+    sessionStorage.removeItem(PENDING_KEY);
+  }
+};
+
+// Validates the callback query string and exchanges the code for tokens.
+// Resolves with { accessToken, refreshToken, expiresIn } (expiresIn in
+// seconds, like the SDK popup login), plus returnTo when the login was
+// started with one.
+export const completeRedirectLogin = async (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const pending = takePendingLogin();
+
+  if (params.get("error")) {
+    throw new Error(`Login failed: ${params.get("error_description") || params.get("error")}`);
+  }
+  if (!pending || Date.now() - pending.createdAt > PENDING_MAX_AGE_MS) {
+    throw new Error("Login failed: no login in progress or it has expired");
+  }
+  if (!params.get("state") || params.get("state") !== pending.state) {
+    throw new Error("Login failed: state mismatch");
+  }
+  const code = params.get("code");
+  if (!code) {
+    throw new Error("Login failed: missing authorization code");
+  }
+
+  const { clientId, kingschatApiUrl } = getConfig();
+  const response = await fetch(`${kingschatApiUrl}/oauth2/token`, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      client_id: clientId,
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: pending.redirectUri,
+      code_verifier: pending.verifier,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Login failed: token exchange returned ${response.status}`);
+  }
+
+  const payload = await response.json();
+  if (!payload.access_token) {
+    throw new Error("Login failed: token exchange returned no access token");
+  }
+
+  return {
+    accessToken: payload.access_token,
+    refreshToken: payload.refresh_token || "",
+    expiresIn: payload.expires_in_millis ? Math.round(payload.expires_in_millis / 1000) : 3600,
+    ...(isLocalPath(pending.returnTo) ? { returnTo: pending.returnTo } : {}),
+  };
+};
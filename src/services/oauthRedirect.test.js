@@ -0,0 +1,56 @@
+import { completeRedirectLogin } from './oauthRedirect';
+
+const storePending = (overrides = {}) => {
+  sessionStorage.setItem('kc_oauth_pending', JSON.stringify({
+    state: 'expected-state',
+    verifier: 'verifier',
+    redirectUri: 'http://localhost/callback',
+    createdAt: Date.now(),
+    ...overrides,
+  }));
+};
+
+beforeEach(() => {
+  sessionStorage.clear();
+  global.fetch = jest.fn();
+});
+
+test('rejects a callback whose state does not match', async () => {
+  storePending();
+  await expect(completeRedirectLogin('?code=abc&state=forged')).rejects.toThrow('state mismatch');
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('rejects a callback with no login in progress', async () => {
+  await expect(completeRedirectLogin('?code=abc&state=expected-state')).rejects.toThrow('no login in progress');
+});
+
+test('exchanges the code with the PKCE verifier', async () => {
+  storePending();
+  global.fetch.mockResolvedValue({
+    ok: true,
+    json: async () => ({ access_token: 'access', refresh_token: 'refresh', expires_in_millis: 3600000 }),
+  });
+
+  const tokens = await completeRedirectLogin('?code=abc&state=expected-state');
+
+  expect(tokens).toEqual({ accessToken: 'access', refreshToken: 'refresh', expiresIn: 3600 });
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+    grant_type: 'authorization_code',
+    code: 'abc',
+    code_verifier: 'verifier',
+  });
+  expect(sessionStorage.getItem('kc_oauth_pending')).toBeNull();
+});
+
+test('hands back the page to return to, if it is on this site', async () => {
+  global.fetch.mockResolvedValue({ ok: true, json: async () => ({ access_token: 'access' }) });
+
+  storePending({ returnTo: '/dispatch/42/run' });
+  await expect(completeRedirectLogin('?code=abc&state=expected-state'))
+    .resolves.toMatchObject({ returnTo: '/dispatch/42/run' });
+
+  storePending({ returnTo: '//evil.example/' });
+  await expect(completeRedirectLogin('?code=abc&state=expected-state'))
+    .resolves.not.toHaveProperty('returnTo');
+});
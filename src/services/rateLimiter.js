@@ -0,0 +1,106 @@
+// src/services/rateLimiter.js
+// Adaptive token bucket for KingsChat sends. Starts at a conservative rate,
+// creeps up while sends succeed and halves on throttling, pausing for the
+// server's Retry-After (or an exponential backoff with jitter) first.
+
+export const DEFAULT_RATE_LIMIT = {
+  initialRate: 1 / 3,      // messages per second (the old fixed 3s delay)
+  minRate: 1 / 30,
+  maxRate: 2,
+  burst: 1,                // tokens the bucket can hold
+  increaseStep: 0.05,      // added to the rate after each ramp-up window
+  rampUpAfter: 5,          // consecutive successes before speeding up
+  decreaseFactor: 0.5,     // rate multiplier on a throttle
+  backoffBaseMs: 5000,     // first backoff when there is no Retry-After
+  maxBackoffMs: 5 * 60 * 1000,
+};
+
+export class AdaptiveRateLimiter {
+  constructor(options = {}, { now = () => Date.now(), random = Math.random } = {}) {
+    this.options = { ...DEFAULT_RATE_LIMIT, ...options };
+    this.now = now;
+    this.random = random;
+
+    this.rate = this.options.initialRate;
+    this.tokens = this.options.burst;
+    this.lastRefill = now();
+    this.blockedUntil = 0;
+    this.successStreak = 0;
+    this.throttleStreak = 0;
+  }
+
+  refill() {
+    const now = this.now();
+    const elapsed = Math.max(0, now - Math.max(this.lastRefill, this.blockedUntil));
+    this.tokens = Math.min(this.options.burst, this.tokens + (elapsed / 1000) * this.rate);
+    this.lastRefill = Math.max(now, this.lastRefill);
+  }
+
+  // Takes a token and returns how long to wait (ms) before using it.
+  reserve() {
+    this.refill();
+    this.tokens -= 1;
+    const debtWait = this.tokens < 0 ? (-this.tokens / this.rate) * 1000 : 0;
+    return Math.ceil(this.blockedFor() + debtWait);
+  }
+
+  // Time left (ms) on a pause set by onThrottle.
+  blockedFor() {
+    return Math.max(0, this.blockedUntil - this.now());
+  }
+
+  onSuccess() {
+    this.throttleStreak = 0;
+    this.successStreak += 1;
+    if (this.successStreak >= this.options.rampUpAfter) {
+      this.successStreak = 0;
+      this.rate = Math.min(this.options.maxRate, this.rate + this.options.increaseStep);
+    }
+  }
+
+  // Call when KingsChat throttled a send. Returns the pause in ms.
+  onThrottle(retryAfterMs = null) {
+    const { minRate, decreaseFactor, backoffBaseMs, maxBackoffMs } = this.options;
+    this.successStreak = 0;
+    this.throttleStreak += 1;
+    this.rate = Math.max(minRate, this.rate * decreaseFactor);
+    this.tokens = 0;
+
+    let pauseMs;
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+      pauseMs = retryAfterMs;
+    } else {
+      // Jittered (between half and all of the ceiling) so several WebViews
+      // sharing the client ID don't retry in step.
+      const ceiling = Math.min(maxBackoffMs, backoffBaseMs * 2 ** (this.throttleStreak - 1));
+      pauseMs = ceiling / 2 + this.random() * (ceiling / 2);
+    }
+    this.blockedUntil = Math.max(this.blockedUntil, this.now() + pauseMs);
+    this.lastRefill = this.now();
+    return pauseMs;
+  }
+
+  // Messages per minute at the current rate.
+  get perMinute() {
+    return Math.round(this.rate * 60 * 10) / 10;
+  }
+}
+
+// Rough time (ms) to send count messages at these limits if KingsChat never
+// throttles: the bucket's burst goes at once, then the rate ramps up as
+// AdaptiveRateLimiter would. With sendLatencyMs, the pace is also capped by
+// how many sends can be waiting on KingsChat at once (concurrency).
+export const estimateSendDurationMs = (count, options = {}, { concurrency = 1, sendLatencyMs = 0 } = {}) => {
+  const { initialRate, maxRate, burst, increaseStep, rampUpAfter } = { ...DEFAULT_RATE_LIMIT, ...options };
+  const inFlightRate = sendLatencyMs > 0 ? (concurrency * 1000) / sendLatencyMs : Infinity;
+  let rate = initialRate;
+  let remaining = Math.max(0, count - burst);
+  let seconds = 0;
+  while (remaining > 0) {
+    const window = rate >= maxRate ? remaining : Math.min(remaining, rampUpAfter);
+    seconds += window / Math.min(rate, inFlightRate);
+    remaining -= window;
+    rate = Math.min(maxRate, rate + increaseStep);
+  }
+  return Math.round(seconds * 1000);
+};
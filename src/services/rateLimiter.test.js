@@ -0,0 +1,68 @@
+import { AdaptiveRateLimiter, estimateSendDurationMs } from './rateLimiter';
+
+const createLimiter = (options) => {
+  let now = 0;
+  const limiter = new AdaptiveRateLimiter(
+    { initialRate: 1, minRate: 0.1, maxRate: 2, burst: 1, increaseStep: 0.5, rampUpAfter: 2, ...options },
+    { now: () => now, random: () => 0.5 }
+  );
+  return { limiter, tick: (ms) => { now += ms; } };
+};
+
+test('spaces reservations at the current rate', () => {
+  const { limiter, tick } = createLimiter();
+
+  expect(limiter.reserve()).toBe(0);
+  expect(limiter.reserve()).toBe(1000);
+  tick(1000);
+  expect(limiter.reserve()).toBe(1000);
+});
+
+test('ramps up after a run of successes, up to the maximum', () => {
+  const { limiter } = createLimiter();
+
+  for (let i = 0; i < 8; i++) limiter.onSuccess();
+
+  expect(limiter.rate).toBe(2);
+  expect(limiter.perMinute).toBe(120);
+});
+
+test('halves the rate and waits out Retry-After on a throttle', () => {
+  const { limiter, tick } = createLimiter();
+  limiter.reserve();
+
+  expect(limiter.onThrottle(5000)).toBe(5000);
+  expect(limiter.rate).toBe(0.5);
+  expect(limiter.reserve()).toBe(5000 + 2000);
+
+  tick(7000);
+  expect(limiter.reserve()).toBe(2000);
+});
+
+test('backs off exponentially with jitter when there is no Retry-After', () => {
+  const { limiter } = createLimiter({ backoffBaseMs: 1000 });
+
+  expect(limiter.onThrottle()).toBe(750);
+  expect(limiter.onThrottle()).toBe(1500);
+  expect(limiter.onThrottle()).toBe(3000);
+  expect(limiter.rate).toBe(0.125);
+  limiter.onThrottle();
+  expect(limiter.rate).toBe(0.1);
+});
+
+test('estimates send time including the ramp-up', () => {
+  const options = { initialRate: 1, maxRate: 2, burst: 1, increaseStep: 1, rampUpAfter: 2 };
+
+  expect(estimateSendDurationMs(0, options)).toBe(0);
+  expect(estimateSendDurationMs(1, options)).toBe(0);
+  // 2 at 1/s, then the rest at 2/s
+  expect(estimateSendDurationMs(7, options)).toBe(4000);
+});
+
+test('caps the estimate by the sends in flight', () => {
+  const options = { initialRate: 2, maxRate: 2, burst: 1 };
+
+  // One send at a time, 1s each: 1/s instead of the limiter's 2/s
+  expect(estimateSendDurationMs(5, options, { concurrency: 1, sendLatencyMs: 1000 })).toBe(4000);
+  expect(estimateSendDurationMs(5, options, { concurrency: 4, sendLatencyMs: 1000 })).toBe(2000);
+});
@@ -0,0 +1,127 @@
+// src/services/sessionBackends.js
+// Where the session store keeps its data.
+//
+//   local     — plaintext JSON in localStorage (default)
+//   encrypted — AES-GCM ciphertext in localStorage; the key is a
+//               non-extractable WebCrypto key kept in IndexedDB
+//   memory    — nothing is persisted; the Flutter host owns persistence and
+//               pushes the tokens back in with the auth.session command
+//
+// Every backend's load() resolves with { data, stale }, where stale means the
+// entry should be written back in the backend's own format.
+import { idbGet, idbSet, isIndexedDbAvailable } from "./idb";
+
+export const SESSION_KEY = "kc_session";
+
+const KEY_STORE = "keys";
+const KEY_ID = "session";
+
+const readRaw = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+  } catch (e) {
+    console.warn("[sessionBackends] Discarding unreadable session:", e);
+    return null;
+  }
+};
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (value) => Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+
+export const localBackend = {
+  name: "local",
+  persistent: true,
+  loadSync: () => ({ data: readRaw(), stale: false }),
+  load: async () => localBackend.loadSync(),
+  save: async (session) => localStorage.setItem(SESSION_KEY, JSON.stringify(session)),
+  clear: async () => localStorage.removeItem(SESSION_KEY),
+};
+
+export const memoryBackend = {
+  name: "memory",
+  persistent: false,
+  loadSync: () => {
+    // Don't leave tokens from an earlier storage mode lying around.
+    localStorage.removeItem(SESSION_KEY);
+    return { data: null, stale: false };
+  },
+  load: async () => memoryBackend.loadSync(),
+  save: async () => {},
+  clear: async () => {},
+};
+
+export const isEncryptionAvailable = () =>
+  isIndexedDbAvailable() && !!(window.crypto && window.crypto.subtle);
+
+export const createEncryptedBackend = () => {
+  let keyPromise = null;
+
+  const getKey = () => {
+    if (!keyPromise) {
+      keyPromise = (async () => {
+        const existing = await idbGet(KEY_STORE, KEY_ID);
+        if (existing) return existing;
+        const key = await window.crypto.subtle.generateKey(
+          { name: "AES-GCM", length: 256 },
+          false,
+          ["encrypt", "decrypt"]
+        );
+        await idbSet(KEY_STORE, KEY_ID, key);
+        return key;
+      })().catch((error) => {
+        keyPromise = null;
+        throw error;
+      });
+    }
+    return keyPromise;
+  };
+
+  return {
+    name: "encrypted",
+    persistent: true,
+    load: async () => {
+      const raw = readRaw();
+      if (!raw) return { data: null, stale: false };
+
+      // Plaintext left over from the local backend: encrypt it on next save.
+      if (!raw.encrypted) return { data: raw, stale: true };
+
+      try {
+        const plaintext = await window.crypto.subtle.decrypt(
+          { name: "AES-GCM", iv: fromBase64(raw.iv) },
+          await getKey(),
+          fromBase64(raw.data)
+        );
+        return { data: JSON.parse(new TextDecoder().decode(plaintext)), stale: false };
+      } catch (e) {
+        console.warn("[sessionBackends] Could not decrypt stored session:", e);
+        return { data: null, stale: false };
+      }
+    },
+    save: async (session) => {
+      const iv = window.crypto.getRandomValues(new Uint8Array(12));
+      const ciphertext = await window.crypto.subtle.encrypt(
+        { name: "AES-GCM", iv },
+        await getKey(),
+        new TextEncoder().encode(JSON.stringify(session))
+      );
+      localStorage.setItem(SESSION_KEY, JSON.stringify({
+        schemaVersion: session.schemaVersion,
+        encrypted: true,
+        iv: toBase64(iv),
+        data: toBase64(ciphertext),
+      }));
+    },
+    clear: async () => localStorage.removeItem(SESSION_KEY),
+  };
+};
+
+export const createBackend = (storage = "local") => {
+  if (storage === "memory") return memoryBackend;
+  if (storage === "encrypted") {
+    if (isEncryptionAvailable()) return createEncryptedBackend();
+    console.warn("[sessionBackends] WebCrypto or IndexedDB missing, keeping the session in memory");
+    return memoryBackend;
+  }
+  return localBackend;
+};
@@ -0,0 +1,76 @@
+import { webcrypto } from 'crypto';
+import { TextDecoder, TextEncoder } from 'util';
+import { SESSION_KEY, createEncryptedBackend } from './sessionBackends';
+
+// jsdom has neither IndexedDB nor WebCrypto: keep keys in a Map and use
+// Node's WebCrypto.
+const mockKeys = new Map();
+jest.mock('./idb', () => ({
+  isIndexedDbAvailable: () => true,
+  idbGet: async (store, key) => mockKeys.get(`${store}/${key}`),
+  idbSet: async (store, key, value) => { mockKeys.set(`${store}/${key}`, value); },
+}));
+
+const session = {
+  schemaVersion: 2,
+  accessToken: 'secret-access-token',
+  refreshToken: 'secret-refresh-token',
+  expiresIn: 3600,
+  timestamp: 1700000000000,
+};
+
+beforeAll(() => {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  mockKeys.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+test('loads back what it saved', async () => {
+  await createEncryptedBackend().save(session);
+
+  // A new page load reads the key back from IndexedDB
+  expect(await createEncryptedBackend().load()).toEqual({ data: session, stale: false });
+});
+
+test('keeps no tokens in plaintext in localStorage', async () => {
+  await createEncryptedBackend().save(session);
+
+  const stored = localStorage.getItem(SESSION_KEY);
+  expect(stored).not.toContain('secret-access-token');
+  expect(stored).not.toContain('secret-refresh-token');
+  expect(JSON.parse(stored)).toMatchObject({ schemaVersion: 2, encrypted: true });
+});
+
+test('rejects a session encrypted under a key it no longer has', async () => {
+  await createEncryptedBackend().save(session);
+
+  mockKeys.clear();
+  expect(await createEncryptedBackend().load()).toEqual({ data: null, stale: false });
+});
+
+test('rejects a session encrypted under a different key', async () => {
+  await createEncryptedBackend().save(session);
+  const stored = localStorage.getItem(SESSION_KEY);
+
+  mockKeys.clear();
+  await createEncryptedBackend().save({ ...session, accessToken: 'other' });
+  localStorage.setItem(SESSION_KEY, stored);
+
+  expect(await createEncryptedBackend().load()).toEqual({ data: null, stale: false });
+});
+
+test('marks a plaintext session left by the local backend for re-encryption', async () => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+
+  expect(await createEncryptedBackend().load()).toEqual({ data: session, stale: true });
+});
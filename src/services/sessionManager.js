@@ -0,0 +1,192 @@
+// src/services/sessionManager.js
+// Keeps the KingsChat access token in the session store fresh.
+//
+// The token is refreshed proactively REFRESH_MARGIN_MS before it expires.
+// Transient failures (offline, fetch errors) are retried; only a definitive
+// rejection of the refresh token ends the session.
+import { refreshToken } from "./kingschat";
+import { CommandType, MessageType, buildAuthPayload, hasChannel, registerCommand } from "./bridge";
+import { enqueue } from "./bridgeOutbox";
+import { clearSession, getSession, getSessionExpiry, setSession, subscribe, updateSession } from "./sessionStore";
+import { AuthExpiredError } from "./apiErrors";
+
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const RETRY_DELAY_MS = 30 * 1000;
+// Background WebViews throttle timers, so never sleep longer than this
+// before looking at the clock again.
+const CHECK_INTERVAL_MS = 60 * 1000;
+// How long to wait for the Flutter host to answer auth.expired
+const HOST_TOKENS_TIMEOUT_MS = 2 * 60 * 1000;
+
+export const endSession = () => {
+  clearSession();
+  window.authData = null;
+  enqueue(MessageType.AUTH_LOGOUT, {}, { collapseKey: "auth" });
+};
+
+// Refreshes the stored session now, persists it and pushes the new tokens to
+// Flutter as auth.refresh. Resolves with the bridge token payload.
+export const refreshSession = async () => {
+  const sessionData = getSession();
+  if (!sessionData || !sessionData.refreshToken) {
+    throw new Error("No refresh token available");
+  }
+
+  const response = await refreshToken(sessionData.refreshToken);
+  const updatedSession = updateSession({
+    accessToken: response.accessToken,
+    refreshToken: response.refreshToken || sessionData.refreshToken,
+    expiresIn: response.expiresInMillis ? Math.round(response.expiresInMillis / 1000) : 3600,
+    timestamp: Date.now(),
+  });
+
+  const payload = buildAuthPayload(updatedSession);
+  enqueue(MessageType.AUTH_REFRESH, payload, { collapseKey: "auth" });
+  console.log("[session] Access token refreshed");
+  return payload;
+};
+
+// Resolves once the stored access token is no longer refusedToken (set by
+// an auth.session command, a refresh or another tab), or rejects after
+// timeoutMs.
+const waitForNewToken = (refusedToken, timeoutMs) => new Promise((resolve, reject) => {
+  let unsubscribe = () => {};
+  const timer = setTimeout(() => {
+    unsubscribe();
+    reject(new AuthExpiredError(401, "The app did not send a new login in time. Please log in again."));
+  }, timeoutMs);
+  unsubscribe = subscribe((session) => {
+    if (!session?.accessToken || session.accessToken === refusedToken) return;
+    clearTimeout(timer);
+    unsubscribe();
+    resolve(session.accessToken);
+  });
+});
+
+// Gets a new access token after KingsChat refused the current one, for a
+// dispatch to carry on with. Refreshes the session; when there is no refresh
+// token or it is rejected, asks the Flutter host for new tokens with
+// auth.expired and waits for its auth.session. Resolves with the new access
+// token. Rejects with AuthExpiredError when the user has to log in again, or
+// with the refresh error when the refresh only failed for now (offline).
+export const recoverSession = async ({ timeoutMs = HOST_TOKENS_TIMEOUT_MS } = {}) => {
+  const refusedToken = getSession()?.accessToken;
+  if (getSession()?.refreshToken) {
+    try {
+      return (await refreshSession()).accessToken;
+    } catch (error) {
+      if (error.transient) throw error;
+      if (!hasChannel()) throw new AuthExpiredError(401, undefined, { cause: error });
+      console.warn("[session] Refresh token rejected, asking the app for new tokens:", error.message);
+    }
+  } else if (!hasChannel()) {
+    throw new AuthExpiredError(401);
+  }
+
+  const newToken = waitForNewToken(refusedToken, timeoutMs);
+  enqueue(MessageType.AUTH_EXPIRED, {}, { collapseKey: "auth.expired", ttlMs: timeoutMs });
+  return newToken;
+};
+
+// Starts the refresh scheduler. onRefresh(payload) runs after every
+// successful refresh, onLogout(error) when the session had to be ended.
+// Returns a function that stops the scheduler.
+export const startSessionManager = ({ onRefresh, onLogout } = {}) => {
+  let timer = null;
+  let stopped = false;
+  let refreshing = false;
+
+  const schedule = (delay) => {
+    clearTimeout(timer);
+    if (!stopped) timer = setTimeout(check, Math.max(0, Math.min(delay, CHECK_INTERVAL_MS)));
+  };
+
+  const check = async () => {
+    if (stopped || refreshing) return;
+    const session = getSession();
+    if (!session) return;
+
+    const expiresAt = getSessionExpiry(session);
+    const wait = expiresAt - REFRESH_MARGIN_MS - Date.now();
+    if (wait > 0) {
+      schedule(wait);
+      return;
+    }
+
+    if (!session.refreshToken) {
+      if (Date.now() >= expiresAt) {
+        console.warn("[session] Session expired and there is no refresh token");
+        endSession();
+        if (onLogout) onLogout(new Error("Session expired"));
+      } else {
+        schedule(expiresAt - Date.now());
+      }
+      return;
+    }
+
+    refreshing = true;
+    try {
+      const payload = await refreshSession();
+      if (stopped) return;
+      if (onRefresh) onRefresh(payload);
+      schedule(0);
+    } catch (error) {
+      if (stopped) return;
+      if (error.transient) {
+        console.warn(`[session] Refresh failed, retrying in ${RETRY_DELAY_MS / 1000}s:`, error.message);
+        schedule(RETRY_DELAY_MS);
+      } else {
+        console.error("[session] Refresh token rejected, ending session:", error.message);
+        endSession();
+        if (onLogout) onLogout(error);
+      }
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  const handleVisibility = () => {
+    if (document.visibilityState === "visible") check();
+  };
+  document.addEventListener("visibilitychange", handleVisibility);
+  check();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    document.removeEventListener("visibilitychange", handleVisibility);
+  };
+};
+
+// Session commands the Flutter host can send on any page. auth.session is how
+// it hands tokens back in memory-only storage mode, using the same payload
+// shape it received (expiresIn in milliseconds). Returns an unregister
+// function.
+export const registerSessionCommands = () => {
+  const unregister = [
+    registerCommand(CommandType.SET_SESSION, async ({ accessToken, refreshToken, expiresIn, timestamp, profile }) => {
+      if (!accessToken) throw new Error("accessToken is required");
+      const session = setSession({
+        accessToken,
+        refreshToken,
+        expiresIn: expiresIn ? Math.round(expiresIn / 1000) : undefined,
+        timestamp,
+        profile,
+      });
+      return { loggedIn: true, expiresAt: getSessionExpiry(session) };
+    }),
+    registerCommand(CommandType.LOGOUT, async () => {
+      endSession();
+      return { loggedIn: false };
+    }),
+    registerCommand(CommandType.REFRESH, () => refreshSession()),
+    registerCommand(CommandType.STATUS, async () => {
+      const session = getSession();
+      return {
+        loggedIn: !!session,
+        expiresAt: session ? getSessionExpiry(session) : null,
+      };
+    }),
+  ];
+  return () => unregister.forEach((fn) => fn());
+};
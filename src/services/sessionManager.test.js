@@ -0,0 +1,105 @@
+import { refreshToken } from './kingschat';
+import { recoverSession, startSessionManager } from './sessionManager';
+import { AuthExpiredError } from './apiErrors';
+import { clearSession, getSession, setSession } from './sessionStore';
+
+jest.mock('./kingschat', () => ({ refreshToken: jest.fn() }));
+
+const storeSession = (overrides = {}) => {
+  setSession({
+    accessToken: 'old-access',
+    refreshToken: 'refresh',
+    expiresIn: 3600,
+    timestamp: Date.now() - 3500 * 1000,
+    ...overrides,
+  });
+};
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  clearSession();
+  refreshToken.mockReset();
+});
+
+test('refreshes before expiry and persists the new tokens', async () => {
+  storeSession();
+  refreshToken.mockResolvedValue({ accessToken: 'new-access', refreshToken: 'new-refresh', expiresInMillis: 3600000 });
+  const onRefresh = jest.fn();
+
+  const stop = startSessionManager({ onRefresh });
+  await flushPromises();
+  stop();
+
+  expect(refreshToken).toHaveBeenCalledWith('refresh');
+  expect(onRefresh).toHaveBeenCalledWith(expect.objectContaining({ accessToken: 'new-access', expiresIn: 3600000 }));
+  expect(getSession()).toMatchObject({ accessToken: 'new-access', refreshToken: 'new-refresh' });
+});
+
+test('keeps the session on a transient refresh failure', async () => {
+  storeSession();
+  refreshToken.mockRejectedValue(Object.assign(new Error('Token refresh failed: Failed to fetch'), { transient: true }));
+  const onLogout = jest.fn();
+
+  const stop = startSessionManager({ onLogout });
+  await flushPromises();
+  stop();
+
+  expect(onLogout).not.toHaveBeenCalled();
+  expect(getSession()).not.toBeNull();
+});
+
+test('ends the session when the refresh token is rejected', async () => {
+  storeSession();
+  refreshToken.mockRejectedValue(Object.assign(new Error('Token refresh failed: error'), { transient: false }));
+  const onLogout = jest.fn();
+
+  const stop = startSessionManager({ onLogout });
+  await flushPromises();
+  stop();
+
+  expect(onLogout).toHaveBeenCalled();
+  expect(getSession()).toBeNull();
+});
+
+describe('recoverSession', () => {
+  afterEach(() => {
+    delete window.KingsListBridge;
+    localStorage.clear();
+  });
+
+  test('refreshes the session when there is a refresh token', async () => {
+    storeSession();
+    refreshToken.mockResolvedValue({ accessToken: 'new-access', expiresInMillis: 3600000 });
+
+    await expect(recoverSession()).resolves.toBe('new-access');
+    expect(getSession().accessToken).toBe('new-access');
+  });
+
+  test('asks the app for new tokens when the refresh token is rejected', async () => {
+    storeSession();
+    refreshToken.mockRejectedValue(Object.assign(new Error('Token refresh failed: error'), { transient: false }));
+    window.KingsListBridge = { postMessage: jest.fn() };
+
+    const recovered = recoverSession();
+    await flushPromises();
+    const [envelope] = window.KingsListBridge.postMessage.mock.calls.map(([json]) => JSON.parse(json));
+    expect(envelope.type).toBe('auth.expired');
+
+    setSession({ accessToken: 'from-app', expiresIn: 3600, timestamp: Date.now() });
+    await expect(recovered).resolves.toBe('from-app');
+  });
+
+  test('gives up when there is no refresh token and no app to ask', async () => {
+    storeSession({ refreshToken: undefined });
+
+    await expect(recoverSession()).rejects.toBeInstanceOf(AuthExpiredError);
+  });
+
+  test('keeps a transient refresh failure as it is', async () => {
+    storeSession();
+    refreshToken.mockRejectedValue(Object.assign(new Error('Token refresh failed: Failed to fetch'), { transient: true }));
+
+    await expect(recoverSession()).rejects.toMatchObject({ transient: true });
+  });
+});
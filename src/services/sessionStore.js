@@ -0,0 +1,155 @@
+// src/services/sessionStore.js
+// Single source of truth for the KingsChat session.
+//
+// A session looks like:
+//   { schemaVersion, accessToken, refreshToken, expiresIn, timestamp, profile }
+// expiresIn is in seconds and timestamp in milliseconds. Older entries are
+// migrated on first read. Where it is persisted depends on the configured
+// backend (see sessionBackends.js). Changes made in other tabs arrive through
+// the storage event, so logging out in one tab logs out all of them.
+import { SESSION_KEY, createBackend, localBackend } from "./sessionBackends";
+
+export { SESSION_KEY };
+export const SESSION_SCHEMA_VERSION = 2;
+
+// Written by TokenCallback before the store existed; expiresIn in ms.
+const LEGACY_AUTH_DATA_KEY = "authData";
+
+const listeners = new Set();
+let backend = localBackend;
+let cached = null;
+let loaded = false;
+
+const normalize = (data) => ({
+  schemaVersion: SESSION_SCHEMA_VERSION,
+  accessToken: data.accessToken,
+  refreshToken: data.refreshToken || "",
+  expiresIn: data.expiresIn || 3600,
+  timestamp: data.timestamp || Date.now(),
+  profile: data.profile || null,
+});
+
+// Brings any stored shape up to the current schema. Returns null for entries
+// that can't be used.
+export const migrateSession = (data) => {
+  if (!data || typeof data !== "object" || !data.accessToken) return null;
+
+  const version = data.schemaVersion || 1;
+  if (version > SESSION_SCHEMA_VERSION) {
+    console.warn(`[sessionStore] Unknown session schema ${version}, ignoring it`);
+    return null;
+  }
+
+  // v1: plain kc_session without profile — same fields otherwise.
+  return normalize(data);
+};
+
+const takeLegacyAuthData = () => {
+  try {
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_AUTH_DATA_KEY) || "null");
+    localStorage.removeItem(LEGACY_AUTH_DATA_KEY);
+    if (!legacy || !legacy.accessToken) return null;
+    return normalize({ ...legacy, expiresIn: Math.round((legacy.expiresIn || 3600000) / 1000) });
+  } catch (e) {
+    return null;
+  }
+};
+
+const persist = (session) => {
+  const write = session ? backend.save(session) : backend.clear();
+  write.catch((e) => console.warn("[sessionStore] Could not persist session:", e));
+};
+
+// Turns what the backend loaded into the cached session, migrating and
+// writing back anything that isn't in the current format.
+const adopt = ({ data, stale }) => {
+  let session = migrateSession(data);
+  let rewrite = stale || (session && data.schemaVersion !== SESSION_SCHEMA_VERSION);
+
+  const legacy = takeLegacyAuthData();
+  if (!session && legacy) {
+    session = legacy;
+    rewrite = true;
+  }
+
+  cached = session;
+  loaded = true;
+  if (session && rewrite) persist(session);
+  return session;
+};
+
+const notify = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener(cached);
+    } catch (e) {
+      console.warn("[sessionStore] Listener failed:", e);
+    }
+  });
+};
+
+// Selects the storage backend: "local", "encrypted" or "memory". Call before
+// hydrateSession().
+export const configureSessionStore = ({ storage = "local" } = {}) => {
+  backend = createBackend(storage);
+  cached = null;
+  loaded = false;
+};
+
+export const getStorageMode = () => backend.name;
+
+// Loads the session from the backend. Needed once at startup for backends
+// that can't be read synchronously.
+export const hydrateSession = async () => {
+  const result = await backend.load();
+  adopt(result);
+  notify();
+  return cached;
+};
+
+export const getSession = () => {
+  if (!loaded && backend.loadSync) {
+    adopt(backend.loadSync());
+  }
+  return cached;
+};
+
+export const setSession = (data) => {
+  cached = normalize(data);
+  loaded = true;
+  persist(cached);
+  notify();
+  return cached;
+};
+
+export const updateSession = (patch) => {
+  const current = getSession();
+  if (!current) throw new Error("No session to update");
+  return setSession({ ...current, ...patch });
+};
+
+export const clearSession = () => {
+  cached = null;
+  loaded = true;
+  persist(null);
+  localStorage.removeItem(LEGACY_AUTH_DATA_KEY);
+  notify();
+};
+
+// Calls listener(session) on every change, from this tab or another one.
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// expiresIn is stored in seconds, timestamp in milliseconds.
+export const getSessionExpiry = (session) => session.timestamp + (session.expiresIn || 3600) * 1000;
+
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    // key is null when another tab called localStorage.clear()
+    if (!backend.persistent) return;
+    if (event.key !== SESSION_KEY && event.key !== null) return;
+    hydrateSession().catch((e) => console.warn("[sessionStore] Could not reload session:", e));
+  });
+}
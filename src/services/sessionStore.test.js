@@ -0,0 +1,60 @@
+import {
+  SESSION_SCHEMA_VERSION,
+  clearSession,
+  configureSessionStore,
+  getSession,
+  migrateSession,
+  setSession,
+  subscribe,
+} from './sessionStore';
+
+beforeEach(() => {
+  clearSession();
+});
+
+test('migrates a v1 kc_session entry to the current schema', () => {
+  const migrated = migrateSession({ accessToken: 'a', refreshToken: 'r', expiresIn: 3600, timestamp: 1 });
+  expect(migrated).toEqual({
+    schemaVersion: SESSION_SCHEMA_VERSION,
+    accessToken: 'a',
+    refreshToken: 'r',
+    expiresIn: 3600,
+    timestamp: 1,
+    profile: null,
+  });
+});
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('notifies subscribers of changes made in another tab', async () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribe(listener);
+  setSession({ accessToken: 'a', timestamp: 1 });
+  listener.mockClear();
+
+  localStorage.removeItem('kc_session');
+  window.dispatchEvent(new StorageEvent('storage', { key: 'kc_session', newValue: null }));
+  await flushPromises();
+
+  expect(listener).toHaveBeenCalledWith(null);
+  expect(getSession()).toBeNull();
+  unsubscribe();
+});
+
+test('picks up a legacy authData entry with expiresIn in milliseconds', async () => {
+  localStorage.setItem('authData', JSON.stringify({ accessToken: 'a', expiresIn: 7200000, timestamp: 5 }));
+  window.dispatchEvent(new StorageEvent('storage', { key: null }));
+  await flushPromises();
+
+  expect(getSession()).toMatchObject({ accessToken: 'a', expiresIn: 7200, timestamp: 5 });
+  expect(localStorage.getItem('authData')).toBeNull();
+});
+
+test('memory storage keeps tokens out of localStorage', () => {
+  configureSessionStore({ storage: 'memory' });
+  setSession({ accessToken: 'a', timestamp: 1 });
+
+  expect(getSession()).toMatchObject({ accessToken: 'a' });
+  expect(localStorage.getItem('kc_session')).toBeNull();
+  configureSessionStore({ storage: 'local' });
+});
@@ -0,0 +1,54 @@
+// src/services/testSend.js
+// Test sends: the dispatch's message, rendered for one sample recipient,
+// delivered only to a short list of test accounts so admins can check it
+// before broadcasting. Bypasses DispatchRunner entirely: no journal and
+// nothing reported to updateDispatchCount.php.
+import { sendMessage as kingschatSendMessage } from "./kingschat";
+import { fetchDispatchBatch } from "./dispatchService";
+import { renderTemplate } from "./messageTemplate";
+import { AdaptiveRateLimiter } from "./rateLimiter";
+import { getSession } from "./sessionStore";
+
+export const MAX_TEST_RECIPIENTS = 5;
+// Recipients offered as samples to render the message for
+export const SAMPLE_RECIPIENT_COUNT = 20;
+
+// The first few rows of the batch, to pick a sample recipient from.
+export const loadSampleRecipients = async (dmsgId, { signal, fetchPage = fetchDispatchBatch } = {}) => {
+  const page = await fetchPage(dmsgId, { limit: SAMPLE_RECIPIENT_COUNT, signal });
+  return page.messages.slice(0, SAMPLE_RECIPIENT_COUNT);
+};
+
+// Renders sample's message and sends it to each test account in turn.
+// Throws TemplateError for a malformed template and before sending anything
+// if the list is empty or too long. Otherwise resolves with
+// { body, missing, results: [{ kcId, ok, error }] }; one account failing
+// doesn't stop the others.
+export const sendTestMessage = async (sample, testRecipients, {
+  sendMessage = kingschatSendMessage,
+  getAccessToken = () => getSession()?.accessToken,
+  limiter = new AdaptiveRateLimiter(),
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+} = {}) => {
+  if (testRecipients.length === 0) throw new Error("Add at least one test account.");
+  if (testRecipients.length > MAX_TEST_RECIPIENTS) {
+    throw new Error(`Test sends go to at most ${MAX_TEST_RECIPIENTS} accounts.`);
+  }
+  const { text, missing } = renderTemplate(sample.body, sample);
+
+  const results = [];
+  for (const kcId of testRecipients) {
+    const wait = limiter.reserve();
+    if (wait > 0) await sleep(wait);
+    try {
+      await sendMessage(getAccessToken(), kcId, text);
+      limiter.onSuccess();
+      results.push({ kcId, ok: true });
+    } catch (error) {
+      if (error.rateLimited) limiter.onThrottle(error.retryAfterMs);
+      console.warn(`[test-send] Could not send to ${kcId}:`, error.message);
+      results.push({ kcId, ok: false, error: error.message });
+    }
+  }
+  return { body: text, missing, results };
+};
@@ -0,0 +1,52 @@
+import { loadSampleRecipients, sendTestMessage } from './testSend';
+import { AdaptiveRateLimiter } from './rateLimiter';
+
+const sample = { kc_id: 'r1', fullname: 'Ada Obi', body: 'Hi <fullname|first>, <city|default:welcome>' };
+
+const options = (sendMessage) => ({
+  sendMessage,
+  getAccessToken: () => 'token',
+  limiter: new AdaptiveRateLimiter({ initialRate: 100, maxRate: 100 }),
+  sleep: () => Promise.resolve(),
+});
+
+test('renders for the sample and sends only to the test accounts', async () => {
+  const sendMessage = jest.fn((token, kcId) => (
+    kcId === 'broken' ? Promise.reject(new Error('User not found')) : Promise.resolve({})
+  ));
+
+  const result = await sendTestMessage(sample, ['me', 'broken', 'colleague'], options(sendMessage));
+
+  expect(sendMessage.mock.calls).toEqual([
+    ['token', 'me', 'Hi Ada, welcome'],
+    ['token', 'broken', 'Hi Ada, welcome'],
+    ['token', 'colleague', 'Hi Ada, welcome'],
+  ]);
+  expect(result).toEqual({
+    body: 'Hi Ada, welcome',
+    missing: [],
+    results: [
+      { kcId: 'me', ok: true },
+      { kcId: 'broken', ok: false, error: 'User not found' },
+      { kcId: 'colleague', ok: true },
+    ],
+  });
+});
+
+test('sends nothing without a valid list or template', async () => {
+  const sendMessage = jest.fn();
+
+  await expect(sendTestMessage(sample, [], options(sendMessage))).rejects.toThrow('at least one');
+  await expect(sendTestMessage(sample, ['1', '2', '3', '4', '5', '6'], options(sendMessage))).rejects.toThrow('at most 5');
+  await expect(sendTestMessage({ ...sample, body: '<if x>' }, ['me'], options(sendMessage))).rejects.toThrow('never closed');
+  expect(sendMessage).not.toHaveBeenCalled();
+});
+
+test('loads the first rows of the batch as samples', async () => {
+  const fetchPage = jest.fn().mockResolvedValue({ messages: Array.from({ length: 30 }, (_, i) => ({ kc_id: `${i}` })) });
+
+  const samples = await loadSampleRecipients('42', { fetchPage });
+
+  expect(fetchPage).toHaveBeenCalledWith('42', { limit: 20, signal: undefined });
+  expect(samples).toHaveLength(20);
+});